@@ -0,0 +1,160 @@
+import React, { useMemo } from "react";
+import {
+  CORE_INSTRUMENTS,
+  collabCounts,
+  countValues,
+  instrumentsByYear,
+  rosterInsights,
+} from "./analytics";
+import { COLORS, panelStyle, buttonStyle, ruleStyle } from "./ui";
+
+/* ---------- roster analytics dashboard ---------- */
+
+function Bars({ items }) {
+  const top = Math.max(1, ...items.map((i) => i.count));
+  return items.map(({ value, count }) => (
+    <div key={value} style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 3 }}>
+      <div
+        style={{
+          width: 130,
+          overflow: "hidden",
+          textOverflow: "ellipsis",
+          whiteSpace: "nowrap",
+          textTransform: "none",
+        }}
+      >
+        {value}
+      </div>
+      <div style={{ flex: 1, height: 8, background: COLORS.track }}>
+        <div
+          style={{
+            width: `${(count / top) * 100}%`,
+            height: "100%",
+            background: COLORS.accent,
+          }}
+        />
+      </div>
+      <div style={{ width: 24, textAlign: "right" }}>{count}</div>
+    </div>
+  ));
+}
+
+export default function AnalyticsPanel({ nodes, onClose }) {
+  const stats = useMemo(
+    () => ({
+      insights: rosterInsights(nodes),
+      byYear: instrumentsByYear(nodes),
+      genres: countValues(nodes, "genres").slice(0, 12),
+      artists: countValues(nodes, "artists").slice(0, 12),
+      roles: countValues(nodes, "roles"),
+      collab: collabCounts(nodes),
+    }),
+    [nodes]
+  );
+
+  const section = (title) => (
+    <div style={{ opacity: 0.85, margin: "12px 0 6px", fontWeight: 700 }}>{title}</div>
+  );
+  const cell = { padding: "2px 6px", textAlign: "right" };
+  const { years, rows } = stats.byYear;
+
+  return (
+    <div
+      style={{
+        ...panelStyle,
+        top: 64,
+        left: "50%",
+        transform: "translateX(-50%)",
+        width: 560,
+        maxHeight: "80vh",
+        overflowY: "auto",
+      }}
+    >
+      <div
+        style={{
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "center",
+          marginBottom: 8,
+        }}
+      >
+        <div style={{ fontSize: 14, fontWeight: 700 }}>Roster · {nodes.length} students</div>
+        <button onClick={onClose} style={buttonStyle}>
+          ×
+        </button>
+      </div>
+
+      {stats.insights.length > 0 && (
+        <div style={{ textTransform: "none", letterSpacing: 0 }}>
+          {stats.insights.map((t) => (
+            <div key={t} style={{ marginBottom: 4 }}>
+              • {t}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {section("Instruments per year")}
+      <table style={{ borderCollapse: "collapse", width: "100%", textTransform: "none" }}>
+        <thead>
+          <tr>
+            <th style={{ ...cell, textAlign: "left" }}></th>
+            {years.map((y) => (
+              <th key={y} style={cell}>
+                Y{y}
+              </th>
+            ))}
+            <th style={cell}>All</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows
+            .filter((r) => r.total > 0 || CORE_INSTRUMENTS.includes(r.instrument))
+            .map((r) => {
+              const core = CORE_INSTRUMENTS.includes(r.instrument);
+              return (
+                <tr key={r.instrument} style={ruleStyle}>
+                  <td style={{ ...cell, textAlign: "left" }}>{r.instrument}</td>
+                  {years.map((y) => {
+                    const n = r.perYear.get(y);
+                    return (
+                      <td
+                        key={y}
+                        style={{
+                          ...cell,
+                          color: n === 0 && core ? COLORS.danger : undefined,
+                          opacity: n === 0 && !core ? 0.35 : 1,
+                        }}
+                      >
+                        {n}
+                      </td>
+                    );
+                  })}
+                  <td style={{ ...cell, fontWeight: 700 }}>{r.total}</td>
+                </tr>
+              );
+            })}
+        </tbody>
+      </table>
+
+      {section("Genres")}
+      <Bars items={stats.genres} />
+
+      {section("Most-cited artists")}
+      <Bars items={stats.artists} />
+
+      {section("Roles")}
+      <Bars items={stats.roles} />
+
+      {section("Up for collaborating")}
+      <Bars
+        items={[
+          { value: "yes", count: stats.collab.yes },
+          { value: "maybe", count: stats.collab.maybe },
+          { value: "not right now", count: stats.collab.no },
+          { value: "not asked", count: stats.collab.unknown },
+        ].filter((c) => c.count > 0)}
+      />
+    </div>
+  );
+}
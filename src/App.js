@@ -1,18 +1,128 @@
 import React, { useEffect, useMemo, useRef, useState } from "react";
 import datasetRaw from "./data.json";
+import { buildBands, LINEUPS } from "./bands";
+import AnalyticsPanel from "./AnalyticsPanel";
+import ApprovalPanel from "./ApprovalPanel";
+import { detectClusters, hullPath, paintClusters } from "./clusters";
+import { LAYOUTS, computeLayout, usePositionTween } from "./layouts";
+import { fitView, useCamera } from "./camera";
+import { normalizeDataset, toArrayLoose } from "./dataset";
+import {
+  COLLAB_POLICIES,
+  explainMatch,
+  isMutuallyWilling,
+  shownCollabStatus,
+  similarityMatrix,
+  topMatches,
+  useModes,
+} from "./similarity";
+import { groupSummary } from "./groups";
+import BandPanel from "./BandPanel";
+import CanvasLayer, { CANVAS_CELLS, CANVAS_NODES } from "./CanvasLayer";
+import ClusterLegend from "./ClusterLegend";
+import ConnectionsTable from "./ConnectionsTable";
+import ExportPanel from "./ExportPanel";
+import FilterBar from "./FilterBar";
+import { applyFilters } from "./filters";
+import GroupPanel from "./GroupPanel";
+import { NOW_ID, buildHistory, personTimeline, useTerms } from "./history";
+import ImportPanel from "./ImportPanel";
+import MatrixView from "./MatrixView";
+import {
+  EnergyBars,
+  EnergyLink,
+  NodeboxBackdrop,
+  NodeboxDefs,
+  blobPath,
+  energyPath,
+} from "./Nodebox";
+import MatchBreakdown from "./MatchBreakdown";
+import PrivacyPanel from "./PrivacyPanel";
+import ProfileEditor from "./ProfileEditor";
+import TasteTimeline from "./TasteTimeline";
+import WeightsPanel from "./WeightsPanel";
+import {
+  COLORS,
+  MONO,
+  panelStyle,
+  controlStyle,
+  buttonStyle,
+  ruleStyle,
+  toggleStyle,
+} from "./ui";
+import { PALETTE_CHOICES } from "./theme";
+import { applyPrivacy, describePrivacy, isPrivacyActive, redactRecords, usePrivacy } from "./privacy";
+import { nextStudentId, usePendingProfiles, useRoster, useVocabulary } from "./roster";
+import { TOP_N_RANGE, readViewState, writeViewState } from "./urlState";
+import { studentLink, studentLinksEnabled } from "./auth";
+import { searchFieldLabel, searchNodes } from "./search";
+import { describeSelection, studentLabel, useA11yPrefs } from "./a11y";
+import { VISUAL_THEMES, visualTheme } from "./visualThemes";
 
 /* =========================================================
-   CONSTELLATION CIRCLE (single-select)
+   CONSTELLATION CIRCLE (single-select + shift/ctrl group)
    - Symmetrical year-group constellations around a big circle
    - Year labels inside each constellation ("Year 7", "Year 8", ...)
    - Straight connection lines
-   - Connection mode dropdown (instrument / influences / ideal band)
+   - Connection mode dropdown (instrument / influences / ideal band
+     + teacher-defined modes, weights editable live)
    - Year filter (All / Y7 / Y8 / ...)
+   - Filters: year range, instrument, genre, role, geek, collab
+     and artist rules as removable chips, all or any; applied
+     before layout and links, kept in the URL
    - Links Top-N slider (min 3)
-   - Search by name (jump/select)
-   - Navigate selection: Left/Right arrows + mouse wheel
-   - Top-left: selected + connections (raised)
+   - Search across name, instruments, genres, artists, roles
+     and geek (ranked, typo tolerant, field:value syntax);
+     every match is ringed, the rest dimmed; Enter selects
+     the best
+   - Navigate selection: Left/Right arrows + Alt+wheel
+   - Pan (drag) / zoom (wheel, pinch), zoom-to-fit and a
+     smooth focus on the selected student and their links
+   - Top-left: selected + connections (raised); hover/tap a row or
+     line to see which shared values produced the link
    - Bottom-right: profile
+   - Bottom-left: band builder (full line-ups from the filtered roster)
+   - Import: load a Forms CSV/XLSX export in place of data.json
+   - View state (selected, mode, year, top-N, search) lives in the URL
+   - Layout switcher: year rings / force / genre + instrument wheels /
+     matrix heatmap; positions tween between layouts
+   - Colour by musical community (Louvain over the current mode),
+     optional hulls, legend labelled from dominant genres/artists
+   - Profiles can be added / edited / deleted in place; the roster
+     persists locally and exports back to data.json
+   - Student questionnaire (/survey) feeds an approval queue
+   - This is the teacher view (see index.js routes); each profile
+     can hand out a signed link to that student's own view
+   - Privacy: initials / aliases, hidden fields, consent filter;
+     applied before anything else so search + exports
+     follow it (data.json stays the real roster)
+   - Collab willingness: "not right now" links down-weighted or
+     hidden, optional mutual-only; hollow node = not right now,
+     dashed ring = maybe, dotted link = not mutually willing
+   - Stats: cohort distributions + insights (gaps, scarce parts)
+   - Accessibility: nodes are tabbable buttons with spoken names,
+     selection + top matches announced in a live region, a table
+     view of the connections (also the way in for canvas-drawn
+     rosters), high-contrast and reduced-motion options
+   - Whole-school rosters: scores come from a similarity matrix
+     cached on the filtered roster (layouts and resizes reuse it),
+     the force layout settles once per roster + mode with grid
+     repulsion; past a few hundred students the dots (and a big
+     heatmap) are drawn on a canvas under the SVG, with tap
+     hit-testing so selection and panning work the same
+   - Palettes (terminal / projector / high contrast / school,
+     or follow the OS) colour panels, nodes, links and bars
+   - Visual theme: constellation or nodebox energy (blobs, water,
+     energy links + bars) over the same data, scoring and panels
+   - Terms: dated past surveys kept in this browser, "Now" dated
+     by the roster's own survey date; students are matched
+     across terms (id, then name, with the year group moving
+     on), a term picker + play steps the
+     constellation through time, the profile lists what each
+     student picked up or dropped term to term
+   - Export: SVG/PNG image, links CSV, similarity graph GraphML/JSON
+   - Shift/ctrl-click builds a group: shared + combined matches and a
+     group profile replace the top-left panel
    ========================================================= */
 
 /* ---------- utilities ---------- */
@@ -21,144 +131,6 @@ function clamp(n, a, b) {
   return Math.max(a, Math.min(b, n));
 }
 
-function toArrayLoose(v) {
-  if (!v) return [];
-  if (Array.isArray(v)) return v.map(String);
-  return String(v)
-    .split(",")
-    .map((x) => x.trim())
-    .filter(Boolean);
-}
-
-function yearToNumber(y) {
-  const m = String(y ?? "").match(/(\d{1,2})/);
-  return m ? Number(m[1]) : null;
-}
-
-/* ---------- dataset ---------- */
-
-function normalizeDataset(raw) {
-  return (Array.isArray(raw) ? raw : []).map((d, i) => ({
-    id: d.id ?? `s-${i}`,
-    name: d.name ?? d.id ?? `Student ${i + 1}`,
-    year: yearToNumber(d.year),
-    instruments: toArrayLoose(d.instruments),
-    genres: toArrayLoose(d.genres),
-    artists: toArrayLoose(d.artists),
-    roles: toArrayLoose(d.roles),
-    geek: toArrayLoose(d.geek),
-    collab: d.collab ?? "",
-  }));
-}
-
-/* ---------- similarity ---------- */
-
-function toSet(arr) {
-  return new Set((arr || []).map((x) => String(x).toLowerCase()));
-}
-
-function overlapCount(A, B) {
-  let c = 0;
-  A.forEach((v) => B.has(v) && c++);
-  return c;
-}
-
-function scoreInstrument(a, b) {
-  return overlapCount(toSet(a.instruments), toSet(b.instruments)) * 3;
-}
-
-function scoreInfluences(a, b) {
-  return (
-    overlapCount(toSet(a.artists), toSet(b.artists)) * 3 +
-    overlapCount(toSet(a.genres), toSet(b.genres)) * 2
-  );
-}
-
-function scoreIdealBand(a, b) {
-  return (
-    overlapCount(toSet(a.instruments), toSet(b.instruments)) * 2 +
-    overlapCount(toSet(a.roles), toSet(b.roles)) * 2 +
-    overlapCount(toSet(a.genres), toSet(b.genres)) * 2 +
-    overlapCount(toSet(a.artists), toSet(b.artists)) * 2 +
-    overlapCount(toSet(a.geek), toSet(b.geek)) * 1
-  );
-}
-
-function similarityScore(a, b, mode) {
-  if (!a || !b || a.id === b.id) return 0;
-  if (mode === "instrument") return scoreInstrument(a, b);
-  if (mode === "influences") return scoreInfluences(a, b);
-  return scoreIdealBand(a, b);
-}
-
-/* ---------- symmetrical constellation layout ---------- */
-
-function computeConstellationPositions(data, W, H) {
-  const cx = W / 2;
-  const cy = H / 2;
-
-  const margin = 28;
-  const outerR = Math.max(0, Math.min(W, H) / 2 - margin);
-
-  const byYear = new Map();
-  for (const d of data) {
-    const y = d.year ?? 99;
-    if (!byYear.has(y)) byYear.set(y, []);
-    byYear.get(y).push(d);
-  }
-
-  const years = [...byYear.keys()].sort((a, b) => a - b);
-  const groupCount = Math.max(1, years.length);
-
-  // group centers around a ring (slightly elliptical to fit screens nicely)
-  const groupRingRx = outerR * 0.66;
-  const groupRingRy = outerR * 0.5;
-
-  const localR = clamp(outerR * 0.18, 22, 110);
-  const offset = -Math.PI / 2;
-
-  const nodes = [];
-  const groups = [];
-
-  years.forEach((y, gi) => {
-    const group = byYear.get(y) || [];
-    const ga = offset + (gi / groupCount) * Math.PI * 2;
-
-    const gcx = cx + Math.cos(ga) * groupRingRx;
-    const gcy = cy + Math.sin(ga) * groupRingRy;
-
-    // label placed toward center of canvas for navigation clarity
-    const labelX = cx + (gcx - cx) * 0.55;
-    const labelY = cy + (gcy - cy) * 0.55;
-
-    groups.push({ year: y, gcx, gcy, labelX, labelY });
-
-    const sorted = [...group].sort((a, b) =>
-      String(a.name).localeCompare(String(b.name))
-    );
-
-    const count = sorted.length;
-    const ringR = count <= 1 ? 0 : count === 2 ? localR * 0.45 : localR * 0.86;
-
-    const localOffset = ga - Math.PI / 2;
-
-    sorted.forEach((d, i) => {
-      const a =
-        count <= 1
-          ? localOffset
-          : localOffset + (i / count) * Math.PI * 2;
-
-      nodes.push({
-        ...d,
-        cx: gcx + Math.cos(a) * ringR,
-        cy: gcy + Math.sin(a) * ringR,
-      });
-    });
-  });
-
-  return { nodes, groups };
-}
-
 /* ---------- single fill bar ---------- */
 
 function FillBar({ value01 }) {
@@ -168,8 +140,8 @@ function FillBar({ value01 }) {
       style={{
         width: 92,
         height: 10,
-        border: "1px solid rgba(0,255,100,0.45)",
-        background: "rgba(0,255,100,0.1)",
+        border: `1px solid ${COLORS.lineStrong}`,
+        background: COLORS.track,
         overflow: "hidden",
       }}
     >
@@ -177,13 +149,30 @@ function FillBar({ value01 }) {
         style={{
           width: `${Math.round(v * 100)}%`,
           height: "100%",
-          background: "#00ff66",
+          background: COLORS.accent,
         }}
       />
     </div>
   );
 }
 
+// time on each term while playing (positions tween for 600ms of it)
+const TERM_STEP_MS = 1600;
+
+const SVG_LABEL =
+  "Student constellation. Tab to a student and press Enter to select; " +
+  "arrow keys move the selection. The Table button lists the same connections.";
+
+// on-screen for screen readers only
+const visuallyHidden = {
+  position: "absolute",
+  width: 1,
+  height: 1,
+  overflow: "hidden",
+  clip: "rect(0 0 0 0)",
+  whiteSpace: "nowrap",
+};
+
 /* ---------- viewport ---------- */
 
 function useViewport() {
@@ -198,9 +187,30 @@ function useViewport() {
 
 /* ========================================================= */
 
-export default function App() {
+export default function App({ onSignOut, theme }) {
   const { w: W, h: H } = useViewport();
-  const dataset = useMemo(() => normalizeDataset(datasetRaw), []);
+  const roster = useRoster(datasetRaw);
+  const rawData = roster.records;
+  const [privacy, setPrivacy] = usePrivacy();
+  const allStudents = useMemo(() => normalizeDataset(rawData), [rawData]);
+  const terms = useTerms();
+  const [termId, setTermId] = useState(NOW_ID);
+  const [playing, setPlaying] = useState(false);
+  // every term with privacy applied, students keyed by their current id
+  const history = useMemo(
+    () =>
+      buildHistory(terms.terms, allStudents, {
+        date: roster.surveyDate,
+        prepare: (nodes) => applyPrivacy(nodes, privacy),
+      }),
+    [terms.terms, allStudents, roster.surveyDate, privacy]
+  );
+  const nowTerm = history.terms[history.terms.length - 1];
+  const viewTerm = history.terms.find((t) => t.id === termId) ?? nowTerm;
+  const pastTerm = viewTerm !== nowTerm; // read-only view
+  const dataset = viewTerm.nodes;
+  const vocab = useVocabulary(rawData);
+  const queue = usePendingProfiles();
 
   const years = useMemo(() => {
     return Array.from(
@@ -208,32 +218,143 @@ export default function App() {
     ).sort((a, b) => a - b);
   }, [dataset]);
 
-  const [mode, setMode] = useState("band"); // instrument | influences | band
-  const [yearFilter, setYearFilter] = useState("all"); // all | number (as string)
-  const [topN, setTopN] = useState(10);
-  const [query, setQuery] = useState("");
+  const { modes, updateMode, addMode, deleteMode } = useModes();
+  const [initialView] = useState(readViewState);
+  const [mode, setMode] = useState(initialView.mode); // mode id: instrument | influences | band | custom-*
+  const [showWeights, setShowWeights] = useState(false);
+  const [yearFilter, setYearFilter] = useState(initialView.year); // all | number (as string)
+  const [filters, setFilters] = useState(initialView.filters); // see filters.js
+  const [showFilters, setShowFilters] = useState(initialView.filters.rules.length > 0);
+  const [topN, setTopN] = useState(initialView.topN);
+  const [query, setQuery] = useState(initialView.query);
   const [active, setActive] = useState(null);
+  const [groupIds, setGroupIds] = useState([]);
+  // id to select once nodes for the restored filters exist (undefined = none)
+  const [pendingSelect, setPendingSelect] = useState(initialView.selected);
+  const [pinnedWhy, setPinnedWhy] = useState(null); // link target id (tap)
+  const [hoverWhy, setHoverWhy] = useState(null); // link target id (hover)
+  const [showBands, setShowBands] = useState(false);
+  // top-centre panel, one at a time: import | export | queue | privacy | stats
+  const [centerPanel, setCenterPanel] = useState(null);
+  const toggleCenter = (name) => setCenterPanel((p) => (p === name ? null : name));
+  const [themeId, setThemeId] = useState(initialView.theme); // see VISUAL_THEMES
+  const look = visualTheme(themeId);
+  const [layoutKind, setLayoutKind] = useState(look.layout); // see LAYOUTS
+  const [colorBy, setColorBy] = useState("none"); // none | cluster | hulls
+  const [focusedCluster, setFocusedCluster] = useState(null);
+  const [lineup, setLineup] = useState("four");
+  const [respectCollab, setRespectCollab] = useState(true);
+  const [collabPolicy, setCollabPolicy] = useState("downweight"); // see COLLAB_POLICIES
+  const [mutualOnly, setMutualOnly] = useState(false);
+  const [editing, setEditing] = useState(null); // { record, isNew, pendingId? }
+  const [copiedLink, setCopiedLink] = useState(null); // student id
+  const [a11y, setA11y] = useA11yPrefs();
+  const [focusId, setFocusId] = useState(null); // keyboard-focused node
+  const pal = theme.palette;
 
   const filtered = useMemo(() => {
-    if (yearFilter === "all") return dataset;
     const y = Number(yearFilter);
-    return dataset.filter((d) => d.year === y);
-  }, [dataset, yearFilter]);
-
-  const layout = useMemo(() => computeConstellationPositions(filtered, W, H), [
-    filtered,
-    W,
-    H,
-  ]);
+    const inYear = yearFilter === "all" ? dataset : dataset.filter((d) => d.year === y);
+    return applyFilters(inYear, filters);
+  }, [dataset, yearFilter, filters]);
+
+  const modeDef = useMemo(
+    () => modes.find((m) => m.id === mode) ?? modes.find((m) => m.id === "band"),
+    [modes, mode]
+  );
+  const weights = modeDef.weights;
+
+  // clusters only depend on who is shown, not where they are drawn
+  const clustering = useMemo(() => {
+    if (colorBy === "none" && layoutKind !== "matrix") return null;
+    return detectClusters(filtered, weights);
+  }, [colorBy, layoutKind, filtered, weights]);
+
+  const layout = useMemo(
+    () =>
+      computeLayout(layoutKind, filtered, W, H, {
+        weights,
+        clusterOf: clustering?.byId,
+      }),
+    [layoutKind, filtered, W, H, weights, clustering]
+  );
   const nodes = layout.nodes;
-  const yearGroups = layout.groups;
+  const layoutGroups = layout.groups;
+
+  // scores work on the filtered profiles, not the laid-out copies, so a new
+  // layout or a resize reuses the cached matrix instead of refilling it
+  const profiles = useMemo(() => new Map(filtered.map((d) => [d.id, d])), [filtered]);
+  const scoreMatrix = useMemo(() => similarityMatrix(filtered, weights), [filtered, weights]);
+
+  const pos = usePositionTween(nodes, a11y.reduceMotion ? 0 : 600);
+  const laidOut = useMemo(() => new Map(nodes.map((d) => [d.id, d])), [nodes]);
+  // by id: links, groups and bands hold filtered profiles without cx/cy
+  const at = (d) => {
+    const p = pos.get(d.id);
+    if (p) return p;
+    const n = laidOut.get(d.id) ?? d;
+    return { x: n.cx, y: n.cy };
+  };
 
   useEffect(() => {
     if (!active) return;
-    const exists = nodes.some((n) => n.id === active.id);
-    if (!exists) setActive(null);
+    // follow edits: swap in the fresh node for the same student
+    const fresh = nodes.find((n) => n.id === active.id);
+    if (!fresh) setActive(null);
+    else if (fresh !== active) setActive(fresh);
   }, [nodes, active]);
 
+  useEffect(() => {
+    if (pendingSelect === undefined) return;
+    setActive(nodes.find((n) => n.id === pendingSelect) ?? null);
+    setPendingSelect(undefined);
+  }, [nodes, pendingSelect]);
+
+  // play: one term every TERM_STEP_MS, stopping on "Now"
+  useEffect(() => {
+    if (!playing) return;
+    const i = history.terms.indexOf(viewTerm);
+    if (i === history.terms.length - 1) {
+      setPlaying(false);
+      return;
+    }
+    const timer = setTimeout(() => setTermId(history.terms[i + 1].id), TERM_STEP_MS);
+    return () => clearTimeout(timer);
+  }, [playing, history, viewTerm]);
+
+  const togglePlay = () => {
+    if (!playing && !pastTerm) setTermId(history.terms[0].id);
+    setPlaying(!playing);
+  };
+
+  useEffect(() => {
+    const onPopState = () => {
+      const v = readViewState();
+      setMode(v.mode);
+      setYearFilter(v.year);
+      setFilters(v.filters);
+      setTopN(v.topN);
+      setQuery(v.query);
+      setThemeId(v.theme);
+      setPendingSelect(v.selected);
+    };
+    window.addEventListener("popstate", onPopState);
+    return () => window.removeEventListener("popstate", onPopState);
+  }, []);
+
+  useEffect(() => {
+    if (pendingSelect !== undefined) return;
+    writeViewState({
+      selected: active?.id ?? null,
+      mode,
+      year: yearFilter,
+      topN,
+      query: query.trim(),
+      theme: themeId,
+      filters,
+    });
+  }, [active, mode, yearFilter, filters, topN, query, themeId, pendingSelect]);
+
   const orderedNodes = useMemo(() => {
     const byYear = new Map();
     for (const n of nodes) {
@@ -251,15 +372,22 @@ export default function App() {
     return out;
   }, [nodes]);
 
+  useEffect(() => {
+    setPinnedWhy(null);
+    setHoverWhy(null);
+  }, [active]);
+
   const links = useMemo(() => {
     if (!active) return [];
 
-    const scored = nodes
-      .filter((n) => n.id !== active.id)
-      .map((n) => ({ n, s: similarityScore(active, n, mode) }))
-      .filter((x) => x.s > 0)
-      .sort((a, b) => b.s - a.s)
-      .slice(0, clamp(topN, 3, 40));
+    const scored = topMatches(
+      profiles.get(active.id) ?? active,
+      filtered,
+      weights,
+      clamp(topN, TOP_N_RANGE.min, TOP_N_RANGE.max),
+      null,
+      { policy: collabPolicy, mutualOnly }
+    );
 
     const max = scored[0]?.s ?? 1;
 
@@ -268,25 +396,116 @@ export default function App() {
       return {
         from: active,
         to: n,
+        score: s,
         ratio,
         width: 1.0 + ratio * 3.6,
+        mutual: isMutuallyWilling(active, n),
       };
     });
-  }, [active, nodes, mode, topN]);
-
-  const panelStyle = {
-    position: "absolute",
-    background: "rgba(0,0,0,0.92)",
-    border: "1px solid rgba(0,255,100,0.4)",
-    color: "#00ff66",
-    padding: 8,
-    fontFamily:
-      "ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, monospace",
-    fontSize: 11,
-    letterSpacing: 0.5,
-    textTransform: "uppercase",
+  }, [active, profiles, filtered, weights, topN, collabPolicy, mutualOnly]);
+
+  const colorClusters = useMemo(
+    () => (colorBy === "none" || !clustering ? null : paintClusters(clustering, pal.clusters)),
+    [colorBy, clustering, pal.clusters]
+  );
+
+  useEffect(() => setFocusedCluster(null), [clustering]);
+
+  const groupMembers = useMemo(
+    () => groupIds.map((id) => profiles.get(id)).filter(Boolean),
+    [groupIds, profiles]
+  );
+  const groupMode = groupMembers.length >= 2;
+
+  const group = useMemo(() => {
+    if (!groupMode) return null;
+    return groupSummary(groupMembers, filtered, weights, clamp(topN, TOP_N_RANGE.min, TOP_N_RANGE.max), {
+      policy: collabPolicy,
+      mutualOnly,
+    });
+  }, [groupMode, groupMembers, filtered, weights, topN, collabPolicy, mutualOnly]);
+
+  const toggleInGroup = (d) =>
+    setGroupIds((ids) => {
+      if (ids.includes(d.id)) return ids.filter((id) => id !== d.id);
+      // the student already selected becomes the first group member
+      const seed = ids.length === 0 && active && active.id !== d.id ? [active.id] : [];
+      return [...seed, ...ids, d.id];
+    });
+
+  const onNodePointerDown = (e, d) => {
+    if (e.shiftKey || e.ctrlKey || e.metaKey) {
+      toggleInGroup(d);
+      if (!groupIds.includes(d.id)) setActive(d);
+      return;
+    }
+    setActive((p) => (p?.id === d.id ? null : d));
+  };
+
+  const matrixScores = useMemo(() => {
+    if (!layout.matrix) return null;
+    const idx = layout.matrix.order.map((d) => scoreMatrix.index.get(d.id));
+    return idx.map((i) => {
+      const row = scoreMatrix.row(i);
+      return Float32Array.from(idx, (j) => row[j]);
+    });
+  }, [layout, scoreMatrix]);
+
+  // shrink dots when matrix cells get small
+  const nodeScale = layout.matrix ? clamp(layout.matrix.cell / 24, 0.3, 1) : 1;
+
+  const linkIds = useMemo(() => new Set(links.map((l) => l.to.id)), [links]);
+
+  // every match for the Find box, best first
+  const search = useMemo(() => searchNodes(nodes, query), [nodes, query]);
+  const searchHits = useMemo(() => new Set(search.map((r) => r.node.id)), [search]);
+
+  // shared by the SVG circles and the canvas renderer
+  const nodeStyle = (d) => {
+    const inGroup = groupMode && groupIds.includes(d.id);
+    const cluster = colorClusters?.byId.get(d.id);
+    const dimmed =
+      (focusedCluster != null && cluster && cluster.id !== focusedCluster) ||
+      (searchHits.size > 0 && !searchHits.has(d.id));
+    const color = cluster ? cluster.color : look.node === "blob" ? pal.link : pal.node;
+    const willing = shownCollabStatus(d);
+    const ring = willing === "no" || willing === "maybe" ? color : "none";
+    const blobOpacity = d.id === active?.id ? 0.96 : 0.72;
+    const opacity =
+      look.node === "blob" && pal.nodeOpacity < 1 ? blobOpacity : pal.nodeOpacity;
+    return {
+      r: (d.id === active?.id || inGroup ? 11 : 9) * nodeScale,
+      fill: willing === "no" ? pal.bg : color,
+      fillOpacity: willing === "maybe" ? 0.55 : 1,
+      stroke: inGroup ? pal.accent : ring,
+      strokeWidth: inGroup ? 3 : 2,
+      dash: !inGroup && willing === "maybe" ? "3 2" : undefined,
+      opacity: dimmed ? opacity * pal.dimOpacity : opacity,
+      halo: searchHits.has(d.id) ? pal.accent : null, // search match ring
+    };
   };
 
+  const canvasNodes = nodes.length > CANVAS_NODES;
+  const canvasCells = !!layout.matrix && layout.matrix.order.length > CANVAS_CELLS;
+
+  const bandResult = useMemo(() => {
+    if (!showBands) return null;
+    return buildBands(filtered, scoreMatrix.score, {
+      slots: LINEUPS[lineup].slots,
+      respectCollab,
+    });
+  }, [showBands, filtered, scoreMatrix, lineup, respectCollab]);
+
+  // the band the selected student was placed in, drawn as a dashed outline
+  const activeBand = useMemo(() => {
+    if (!bandResult || !active) return null;
+    return (
+      bandResult.bands.find((b) =>
+        b.members.some((m) => m.student.id === active.id)
+      ) ?? null
+    );
+  }, [bandResult, active]);
+
   const profileLine = (label, arrOrStr) => {
     const arr = Array.isArray(arrOrStr) ? arrOrStr : toArrayLoose(arrOrStr);
     if (!arr.length) return null;
@@ -300,6 +519,19 @@ export default function App() {
     );
   };
 
+  const copyStudentLink = async (d) => {
+    let url;
+    try {
+      url = await studentLink(d.id);
+      await navigator.clipboard.writeText(url);
+      setCopiedLink(d.id);
+      setTimeout(() => setCopiedLink((id) => (id === d.id ? null : id)), 1500);
+    } catch (err) {
+      // clipboard blocked: show the link instead
+      window.prompt(url ? "Copy this link:" : "Could not sign the link", url ?? err.message);
+    }
+  };
+
   const moveActive = (dir) => {
     if (!orderedNodes.length) return;
     const idx = active ? orderedNodes.findIndex((n) => n.id === active.id) : -1;
@@ -314,6 +546,8 @@ export default function App() {
   // No eslint-disable comment, no react-hooks rule required
   useEffect(() => {
     const onKeyDown = (e) => {
+      // typing in the profile editor / a select must not move the selection
+      if (e.target.closest?.("form, input, select, textarea")) return;
       if (e.key === "ArrowRight") {
         e.preventDefault();
         moveActive(+1);
@@ -322,23 +556,19 @@ export default function App() {
         moveActive(-1);
       } else if (e.key === "Escape") {
         setActive(null);
+        setGroupIds([]);
       } else if (e.key === "Enter") {
-        const q = query.trim().toLowerCase();
-        if (!q) return;
-        const match = nodes
-          .slice()
-          .sort((a, b) => String(a.name).localeCompare(String(b.name)))
-          .find((n) => String(n.name).toLowerCase().includes(q));
-        if (match) setActive(match);
+        if (search.length) setActive(search[0].node);
       }
     };
 
     window.addEventListener("keydown", onKeyDown, { passive: false });
     return () => window.removeEventListener("keydown", onKeyDown);
-  }, [query, nodes, active, orderedNodes]);
+  }, [search, active, orderedNodes]);
 
+  const svgRef = useRef(null);
   const wheelCooldown = useRef(0);
-  const onWheel = (e) => {
+  const onNavigateWheel = (e) => {
     const now = Date.now();
     if (now - wheelCooldown.current < 120) return;
     wheelCooldown.current = now;
@@ -348,74 +578,367 @@ export default function App() {
     moveActive(dy > 0 ? +1 : -1);
   };
 
-  const yearLabel = (y) => {
-    if (y == null || y === 99) return "";
-    return `Year ${y}`;
+  const camera = useCamera(svgRef, { onNavigateWheel, reduceMotion: a11y.reduceMotion });
+  const fitAll = () => camera.animateTo(fitView(nodes.map(at), W, H));
+  const focusActive = () => {
+    if (!active) return;
+    const pts = [active, ...links.map((l) => l.to)].map(at);
+    // keep clear of the connections panel on the left
+    camera.animateTo(fitView(pts, W, H, { left: 280, minK: 1, maxK: 3 }));
   };
 
-  const searchResults = useMemo(() => {
-    const q = query.trim().toLowerCase();
-    if (!q) return [];
-    return nodes
-      .filter((n) => String(n.name).toLowerCase().includes(q))
-      .sort((a, b) => String(a.name).localeCompare(String(b.name)))
-      .slice(0, 8);
-  }, [query, nodes]);
+  const onNodeKeyDown = (e, d) => {
+    if (e.key !== "Enter" && e.key !== " ") return;
+    e.preventDefault();
+    // keep the window handler from treating Enter as a search
+    e.stopPropagation();
+    onNodePointerDown(e, d);
+  };
+
+  const focused = !canvasNodes && focusId ? nodes.find((d) => d.id === focusId) : null;
+
+  // arrow keys move the selection; if a node had focus, focus follows it
+  useEffect(() => {
+    const svg = svgRef.current;
+    if (!active || !svg || !svg.contains(document.activeElement)) return;
+    const el = [...svg.querySelectorAll("[data-id]")].find(
+      (c) => c.getAttribute("data-id") === String(active.id)
+    );
+    if (el && el !== document.activeElement) el.focus();
+  }, [active]);
+
+  const announcement = useMemo(() => {
+    if (groupMode) return `${groupMembers.length} students in the group.`;
+    return describeSelection(active, links, weights);
+  }, [groupMode, groupMembers, active, links, weights]);
+
+  const onMatrixCell = (row, col) => {
+    setActive(row);
+    if (col && linkIds.has(col.id)) setPinnedWhy(col.id);
+  };
+
+  // Canvas-drawn dots / cells have no elements of their own: a press on the
+  // bare SVG is mapped back to world space and resolved here.
+  const canvasRef = useRef(null);
+  const pickAt = (e) => {
+    const r = svgRef.current.getBoundingClientRect();
+    const { x: vx, y: vy, k } = camera.view;
+    const wx = (e.clientX - r.left - vx) / k;
+    const wy = (e.clientY - r.top - vy) / k;
+
+    if (canvasNodes) {
+      let best = null;
+      let bestDist = Infinity;
+      nodes.forEach((d) => {
+        const p = at(d);
+        const dist = Math.hypot(p.x - wx, p.y - wy);
+        if (dist < bestDist && dist <= nodeStyle(d).r + 4) {
+          best = d;
+          bestDist = dist;
+        }
+      });
+      if (best) {
+        onNodePointerDown(e, best);
+        return;
+      }
+    }
+
+    if (canvasCells && matrixScores) {
+      const { x0, y0, cell, order } = layout.matrix;
+      const i = Math.floor((wy - y0) / cell);
+      const j = Math.floor((wx - x0) / cell);
+      const inside = i >= 0 && j >= 0 && i < order.length && j < order.length;
+      if (inside && matrixScores[i][j] > 0) onMatrixCell(order[i], order[j]);
+    }
+  };
+
+  const onSvgPointerDown = (e) => {
+    if ((canvasNodes || canvasCells) && e.target === e.currentTarget) pickAt(e);
+    camera.handlers.onPointerDown(e);
+  };
 
   return (
-    <div style={{ background: "#000", height: "100vh", overflow: "hidden" }}>
-      <svg width="100%" height="100%" onWheel={onWheel}>
-        {/* year labels */}
-        {yearGroups.map((g) => (
-          <text
-            key={`y-${g.year}`}
-            x={g.labelX}
-            y={g.labelY}
-            textAnchor="middle"
-            dominantBaseline="middle"
-            style={{
-              fill: "rgba(0,255,102,0.62)",
-              fontFamily:
-                "ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, monospace",
-              fontSize: 11,
-              letterSpacing: 1.1,
-              userSelect: "none",
-            }}
-          >
-            {yearLabel(g.year)}
-          </text>
-        ))}
-
-        {/* straight connections */}
-        {links.map((l) => (
-          <line
-            key={l.to.id}
-            x1={l.from.cx}
-            y1={l.from.cy}
-            x2={l.to.cx}
-            y2={l.to.cy}
-            stroke="#cfd6df"
-            strokeWidth={l.width}
-            strokeLinecap="round"
-            opacity={0.78}
-          />
-        ))}
-
-        {/* nodes */}
-        {nodes.map((d) => (
-          <circle
-            key={d.id}
-            cx={d.cx}
-            cy={d.cy}
-            r={d.id === active?.id ? 11 : 9}
-            fill="#e5e9ef"
-            opacity={0.9}
-            onPointerDown={() => setActive((p) => (p?.id === d.id ? null : d))}
-            style={{ cursor: "pointer" }}
-          />
-        ))}
+    <div style={{ background: COLORS.bg, height: "100vh", overflow: "hidden" }}>
+      {(canvasNodes || canvasCells) && (
+        <CanvasLayer
+          canvasRef={canvasRef}
+          width={W}
+          height={H}
+          view={camera.view}
+          nodes={canvasNodes ? nodes : null}
+          at={at}
+          nodeStyle={nodeStyle}
+          matrix={canvasCells ? layout.matrix : null}
+          scores={canvasCells ? matrixScores : null}
+          palette={pal}
+        />
+      )}
+      <svg
+        ref={svgRef}
+        role="group"
+        aria-label={SVG_LABEL}
+        width="100%"
+        height="100%"
+        {...camera.handlers}
+        onPointerDown={onSvgPointerDown}
+        style={{ position: "relative", touchAction: "none" }}
+      >
+        {look.id === "nodebox" && (
+          <>
+            <NodeboxDefs animate={!a11y.reduceMotion} />
+            <NodeboxBackdrop />
+          </>
+        )}
+
+        <g transform={camera.transform}>
+          {/* cluster hulls */}
+          {colorBy === "hulls" &&
+            colorClusters?.clusters.map((c) => (
+              <path
+                key={`hull-${c.id}`}
+                d={hullPath(c.members.map((m) => ({ cx: at(m).x, cy: at(m).y })))}
+                fill={c.color}
+                fillOpacity={focusedCluster === c.id ? 0.2 : 0.08}
+                stroke={c.color}
+                strokeOpacity={0.45}
+                strokeLinejoin="round"
+                opacity={focusedCluster == null || focusedCluster === c.id ? 1 : 0.3}
+                pointerEvents="none"
+              />
+            ))}
+
+          {/* matrix heatmap */}
+          {layout.matrix && matrixScores && (
+            <MatrixView
+              matrix={layout.matrix}
+              scores={matrixScores}
+              activeId={active?.id}
+              linkIds={linkIds}
+              onCell={onMatrixCell}
+              cells={!canvasCells}
+              palette={pal}
+            />
+          )}
+
+          {/* group labels (years / wheel sectors) */}
+          {layoutGroups.map((g) => (
+            <text
+              key={g.key}
+              x={g.labelX}
+              y={g.labelY}
+              textAnchor="middle"
+              dominantBaseline="middle"
+              pointerEvents="none"
+              style={{
+                fill: pal.accentSoft,
+                fontFamily: MONO,
+                fontSize: 11,
+                letterSpacing: 1.1,
+                userSelect: "none",
+              }}
+            >
+              {g.label}
+            </text>
+          ))}
+
+          {/* straight connections */}
+          {group &&
+            !layout.matrix &&
+            group.union.map((e) =>
+              e.from.map(({ member }) => (
+                <line
+                  key={`g-${member.id}-${e.node.id}`}
+                  x1={at(member).x}
+                  y1={at(member).y}
+                  x2={at(e.node).x}
+                  y2={at(e.node).y}
+                  stroke={e.from.length === groupMembers.length ? pal.accent : pal.link}
+                  strokeWidth={1 + (e.from.length / groupMembers.length) * 2.4}
+                  strokeLinecap="round"
+                  opacity={e.from.length === groupMembers.length ? 0.9 : 0.35}
+                />
+              ))
+            )}
+
+          {!groupMode && !layout.matrix && links.map((l, i) => {
+            const why = (hoverWhy ?? pinnedWhy) === l.to.id;
+            const a = at(l.from);
+            const b = at(l.to);
+            const energy = look.link === "energy";
+            const stroke = why ? pal.accent : pal.link;
+            const width = energy ? 0.6 + l.ratio * 1.2 : l.width;
+            const dash = l.mutual ? undefined : `1 ${width + 4}`;
+            const calm =
+              energy && pal.linkOpacity < 1
+                ? clamp(0.18 + l.ratio * 0.62, 0.18, 0.85)
+                : pal.linkOpacity;
+            return (
+              <g key={l.to.id}>
+                {energy ? (
+                  <EnergyLink
+                    id={`energy-${i}`}
+                    from={a}
+                    to={b}
+                    index={i}
+                    color={stroke}
+                    width={width}
+                    dash={dash}
+                    opacity={why ? 1 : calm}
+                    animate={!a11y.reduceMotion}
+                  />
+                ) : (
+                  <line
+                    x1={a.x}
+                    y1={a.y}
+                    x2={b.x}
+                    y2={b.y}
+                    stroke={stroke}
+                    strokeWidth={width}
+                    strokeLinecap="round"
+                    strokeDasharray={dash}
+                    opacity={why ? 1 : calm}
+                  />
+                )}
+                {/* wider invisible hit area for hover / tap */}
+                <path
+                  d={energy ? energyPath(a, b) : `M ${a.x} ${a.y} L ${b.x} ${b.y}`}
+                  fill="none"
+                  stroke="transparent"
+                  strokeWidth={14}
+                  onPointerEnter={() => setHoverWhy(l.to.id)}
+                  onPointerLeave={() => setHoverWhy(null)}
+                  onPointerDown={() =>
+                    setPinnedWhy((p) => (p === l.to.id ? null : l.to.id))
+                  }
+                  style={{ cursor: "help" }}
+                />
+              </g>
+            );
+          })}
+
+          {/* band outline */}
+          {activeBand &&
+            activeBand.members.map((m, i) => {
+              const next =
+                activeBand.members[(i + 1) % activeBand.members.length].student;
+              return (
+                <line
+                  key={`band-${m.student.id}`}
+                  x1={at(m.student).x}
+                  y1={at(m.student).y}
+                  x2={at(next).x}
+                  y2={at(next).y}
+                  stroke={pal.accent}
+                  strokeWidth={1.4}
+                  strokeDasharray="4 4"
+                  opacity={0.7}
+                />
+              );
+            })}
+
+          {/* search match rings */}
+          {!canvasNodes &&
+            search.map(({ node: d }) => (
+              <circle
+                key={`hit-${d.id}`}
+                cx={at(d).x}
+                cy={at(d).y}
+                r={nodeStyle(d).r + 4}
+                fill="none"
+                stroke={pal.accent}
+                strokeWidth={1.5}
+                pointerEvents="none"
+              />
+            ))}
+
+          {/* nodes */}
+          {!canvasNodes && (
+            <g filter={look.node === "blob" ? "url(#softGlow)" : undefined}>
+              {orderedNodes.map((d) => {
+                const st = nodeStyle(d);
+                const p = at(d);
+                const props = {
+                  "data-id": d.id,
+                  role: "button",
+                  tabIndex: 0,
+                  "aria-label": studentLabel(d),
+                  "aria-pressed": d.id === active?.id,
+                  onKeyDown: (e) => onNodeKeyDown(e, d),
+                  onFocus: (e) => e.target.matches?.(":focus-visible") && setFocusId(d.id),
+                  onBlur: () => setFocusId((f) => (f === d.id ? null : f)),
+                  fill: st.fill,
+                  fillOpacity: st.fillOpacity,
+                  stroke: st.stroke,
+                  strokeWidth: st.strokeWidth,
+                  strokeDasharray: st.dash,
+                  opacity: st.opacity,
+                  onPointerDown: (e) => onNodePointerDown(e, d),
+                  style: { cursor: "pointer", outline: "none" },
+                };
+                return look.node === "blob" ? (
+                  <path key={d.id} d={blobPath(d.id, p.x, p.y, st.r)} {...props} />
+                ) : (
+                  <circle key={d.id} cx={p.x} cy={p.y} r={st.r} {...props} />
+                );
+              })}
+            </g>
+          )}
+
+          {/* keyboard focus ring */}
+          {focused && (
+            <circle
+              cx={at(focused).x}
+              cy={at(focused).y}
+              r={nodeStyle(focused).r + 5}
+              fill="none"
+              stroke={pal.focus}
+              strokeWidth={2}
+              strokeDasharray="4 3"
+              pointerEvents="none"
+            />
+          )}
+        </g>
       </svg>
 
+      <div role="status" aria-live="polite" style={visuallyHidden}>
+        {announcement}
+      </div>
+
+      {/* RIGHT: camera */}
+      <div
+        style={{
+          ...panelStyle,
+          right: 12,
+          top: "50%",
+          transform: "translateY(-50%)",
+          display: "flex",
+          flexDirection: "column",
+          gap: 4,
+          padding: 4,
+        }}
+      >
+        <button onClick={() => camera.zoomBy(1.4)} title="Zoom in" style={buttonStyle}>
+          +
+        </button>
+        <button onClick={() => camera.zoomBy(1 / 1.4)} title="Zoom out" style={buttonStyle}>
+          −
+        </button>
+        <button onClick={fitAll} title="Zoom to fit" style={buttonStyle}>
+          Fit
+        </button>
+        <button
+          onClick={focusActive}
+          disabled={!active}
+          title="Focus on the selected student and their links"
+          style={{ ...buttonStyle, opacity: active ? 1 : 0.4 }}
+        >
+          Focus
+        </button>
+        <button onClick={camera.reset} title="Reset view" style={buttonStyle}>
+          1:1
+        </button>
+      </div>
+
       {/* controls */}
       <div
         style={{
@@ -439,21 +962,21 @@ export default function App() {
             <select
               value={mode}
               onChange={(e) => setMode(e.target.value)}
-              style={{
-                background: "rgba(0,0,0,0.65)",
-                color: "#00ff66",
-                border: "1px solid rgba(0,255,100,0.35)",
-                padding: "4px 6px",
-                fontFamily:
-                  "ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, monospace",
-                fontSize: 11,
-                outline: "none",
-              }}
+              style={controlStyle}
             >
-              <option value="instrument">Same instrument</option>
-              <option value="influences">Similar influences</option>
-              <option value="band">Ideal band</option>
+              {modes.map((m) => (
+                <option key={m.id} value={m.id}>
+                  {m.label}
+                </option>
+              ))}
             </select>
+            <button
+              onClick={() => setShowWeights((v) => !v)}
+              title="Edit weights"
+              style={toggleStyle(showWeights)}
+            >
+              ⚙
+            </button>
           </div>
 
           <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
@@ -461,16 +984,7 @@ export default function App() {
             <select
               value={yearFilter}
               onChange={(e) => setYearFilter(e.target.value)}
-              style={{
-                background: "rgba(0,0,0,0.65)",
-                color: "#00ff66",
-                border: "1px solid rgba(0,255,100,0.35)",
-                padding: "4px 6px",
-                fontFamily:
-                  "ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, monospace",
-                fontSize: 11,
-                outline: "none",
-              }}
+              style={controlStyle}
             >
               <option value="all">All</option>
               {years.map((y) => (
@@ -479,14 +993,117 @@ export default function App() {
                 </option>
               ))}
             </select>
+            <button
+              onClick={() => setShowFilters((v) => !v)}
+              aria-expanded={showFilters}
+              title="Filter by instrument, genre, role, collab..."
+              style={toggleStyle(showFilters || filters.rules.length > 0)}
+            >
+              Filter{filters.rules.length ? ` (${filters.rules.length})` : ""}
+            </button>
+          </div>
+
+          <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+            <div style={{ opacity: 0.85 }}>Theme:</div>
+            <select
+              value={look.id}
+              onChange={(e) => {
+                const next = visualTheme(e.target.value);
+                setThemeId(next.id);
+                setLayoutKind(next.layout);
+                if (next.mode) setMode(next.mode);
+                camera.reset();
+              }}
+              style={controlStyle}
+            >
+              {VISUAL_THEMES.map((t) => (
+                <option key={t.id} value={t.id}>
+                  {t.label}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+            <div style={{ opacity: 0.85 }}>Palette:</div>
+            <select
+              value={theme.choice}
+              onChange={(e) => theme.setChoice(e.target.value)}
+              style={controlStyle}
+            >
+              {PALETTE_CHOICES.map((p) => (
+                <option key={p.id} value={p.id}>
+                  {p.label}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+            <div style={{ opacity: 0.85 }}>Layout:</div>
+            <select
+              value={layoutKind}
+              onChange={(e) => {
+                setLayoutKind(e.target.value);
+                camera.reset();
+              }}
+              style={controlStyle}
+            >
+              {LAYOUTS.map((l) => (
+                <option key={l.id} value={l.id}>
+                  {l.label}
+                </option>
+              ))}
+            </select>
           </div>
 
+          <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+            <div style={{ opacity: 0.85 }}>Colour:</div>
+            <select
+              value={colorBy}
+              onChange={(e) => setColorBy(e.target.value)}
+              style={controlStyle}
+            >
+              <option value="none">Plain</option>
+              <option value="cluster">Clusters</option>
+              <option value="hulls">Clusters + hulls</option>
+            </select>
+          </div>
+
+          {history.terms.length > 1 && (
+            <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+              <div style={{ opacity: 0.85 }}>Term:</div>
+              <select
+                value={viewTerm.id}
+                onChange={(e) => {
+                  setPlaying(false);
+                  setTermId(e.target.value);
+                }}
+                style={controlStyle}
+              >
+                {history.terms.map((t) => (
+                  <option key={t.id} value={t.id}>
+                    {t.label}
+                  </option>
+                ))}
+              </select>
+              <button
+                onClick={togglePlay}
+                aria-label={playing ? "Pause" : "Play through the terms"}
+                title="Step through the terms"
+                style={toggleStyle(playing)}
+              >
+                {playing ? "❚❚" : "▶"}
+              </button>
+            </div>
+          )}
+
           <div style={{ display: "flex", alignItems: "center", gap: 10 }}>
             <div style={{ opacity: 0.85 }}>Links:</div>
             <input
               type="range"
-              min="3"
-              max="16"
+              min={TOP_N_RANGE.min}
+              max={TOP_N_RANGE.max}
               value={topN}
               onChange={(e) => setTopN(Number(e.target.value))}
               style={{ width: 160 }}
@@ -494,60 +1111,169 @@ export default function App() {
             <div style={{ minWidth: 28, textAlign: "right" }}>{topN}</div>
           </div>
 
+          <div
+            style={{ display: "flex", alignItems: "center", gap: 8 }}
+            title={'Students who said "not right now" (hollow nodes)'}
+          >
+            <div style={{ opacity: 0.85 }}>Not now:</div>
+            <select
+              value={collabPolicy}
+              onChange={(e) => setCollabPolicy(e.target.value)}
+              style={controlStyle}
+            >
+              {COLLAB_POLICIES.map((p) => (
+                <option key={p.id} value={p.id}>
+                  {p.label}
+                </option>
+              ))}
+            </select>
+            <button
+              onClick={() => setMutualOnly((v) => !v)}
+              title="Only suggest pairs where both said yes or maybe"
+              style={toggleStyle(mutualOnly)}
+            >
+              Mutual only
+            </button>
+          </div>
+
           <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
             <div style={{ opacity: 0.85 }}>Find:</div>
             <input
               value={query}
               onChange={(e) => setQuery(e.target.value)}
-              placeholder="type a name..."
-              style={{
-                width: 160,
-                background: "rgba(0,0,0,0.65)",
-                color: "#00ff66",
-                border: "1px solid rgba(0,255,100,0.35)",
-                padding: "4px 6px",
-                fontFamily:
-                  "ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, monospace",
-                fontSize: 11,
-                outline: "none",
-                textTransform: "none",
-                letterSpacing: 0,
+              onKeyDown={(e) => {
+                if (e.key === "Enter" && search.length) setActive(search[0].node);
               }}
+              placeholder="name, bass, genre:punk..."
+              title='Words search every field; narrow with instrument:, genre:, artist:, role:, geek:, name:, year:9-11; quote phrases ("the beatles")'
+              aria-label="Find students"
+              style={{ ...controlStyle, width: 180, textTransform: "none", letterSpacing: 0 }}
             />
           </div>
 
+          <button
+            onClick={() => setShowBands((v) => !v)}
+            style={toggleStyle(showBands)}
+          >
+            Bands
+          </button>
+
+          <button
+            onClick={() => toggleCenter("table")}
+            title="Connections as a table; contrast and motion options"
+            style={toggleStyle(centerPanel === "table")}
+          >
+            Table
+          </button>
+
+          <button
+            onClick={() => toggleCenter("stats")}
+            style={toggleStyle(centerPanel === "stats")}
+          >
+            Stats
+          </button>
+
+          <button
+            onClick={() => toggleCenter("import")}
+            style={toggleStyle(centerPanel === "import")}
+          >
+            Import
+          </button>
+
+          <button
+            onClick={() => toggleCenter("export")}
+            style={toggleStyle(centerPanel === "export")}
+          >
+            Export
+          </button>
+
+          <button
+            onClick={() =>
+              setEditing({
+                record: {
+                  id: nextStudentId(rawData),
+                  year: yearFilter === "all" ? "" : `year ${yearFilter}`,
+                },
+                isNew: true,
+              })
+            }
+            style={buttonStyle}
+          >
+            + Student
+          </button>
+
+          <button
+            onClick={() => toggleCenter("queue")}
+            style={toggleStyle(centerPanel === "queue")}
+          >
+            Queue{queue.pending.length ? ` (${queue.pending.length})` : ""}
+          </button>
+
+          <button
+            onClick={() => toggleCenter("privacy")}
+            title={describePrivacy(privacy) || "Full names, all fields"}
+            style={toggleStyle(centerPanel === "privacy")}
+          >
+            Privacy{isPrivacyActive(privacy) ? " •" : ""}
+          </button>
+
+          {onSignOut && (
+            <button onClick={onSignOut} style={buttonStyle}>
+              Sign out
+            </button>
+          )}
+
           <div style={{ opacity: 0.75, marginLeft: "auto" }}>
-            ← / → or wheel
+            ← / → or alt+wheel · drag / wheel: pan + zoom · shift-click: group
           </div>
         </div>
 
-        {searchResults.length > 0 && (
+        {(showFilters || filters.rules.length > 0) && (
+          <div style={{ marginTop: 8, ...ruleStyle, paddingTop: 8 }}>
+            <FilterBar
+              filters={filters}
+              onChange={setFilters}
+              nodes={dataset}
+              shown={filtered.length}
+            />
+          </div>
+        )}
+
+        {query.trim() && (
           <div
             style={{
               marginTop: 8,
-              borderTop: "1px solid rgba(0,255,100,0.25)",
+              ...ruleStyle,
               paddingTop: 8,
             }}
           >
-            <div style={{ display: "flex", flexWrap: "wrap", gap: 8 }}>
-              {searchResults.map((n) => (
+            <div style={{ display: "flex", flexWrap: "wrap", gap: 8, alignItems: "center" }}>
+              <div role="status" style={{ opacity: 0.75 }}>
+                {search.length === 1 ? "1 match" : `${search.length} matches`}
+              </div>
+              {search.slice(0, 8).map(({ node: n, hits }) => (
                 <button
                   key={n.id}
-                  onClick={() => setActive(n)}
-                  style={{
-                    background: "rgba(0,0,0,0.65)",
-                    color: "#00ff66",
-                    border: "1px solid rgba(0,255,100,0.35)",
-                    padding: "4px 8px",
-                    cursor: "pointer",
-                    fontFamily:
-                      "ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, monospace",
-                    fontSize: 11,
-                    textTransform: "none",
-                    letterSpacing: 0,
-                  }}
+                  onClick={(e) =>
+                    e.shiftKey || e.ctrlKey || e.metaKey
+                      ? toggleInGroup(n)
+                      : setActive(n)
+                  }
+                  title={hits.map((h) => `${searchFieldLabel(h.field)}: ${h.value}`).join(" · ")}
+                  style={buttonStyle}
                 >
                   {n.name}
+                  {hits
+                    .filter((h) => h.field !== "name")
+                    .map((h) => (
+                      <span
+                        key={h.field + h.value}
+                        style={{ color: COLORS.accent, textTransform: "none" }}
+                      >
+                        {" "}
+                        · {h.value}
+                      </span>
+                    ))}
                 </button>
               ))}
             </div>
@@ -555,9 +1281,29 @@ export default function App() {
         )}
       </div>
 
+      {/* TOP-LEFT: group comparison */}
+      {group && (
+        <GroupPanel
+          members={groupMembers}
+          summary={group}
+          onSelect={setActive}
+          onRemove={toggleInGroup}
+          onClear={() => setGroupIds([])}
+        />
+      )}
+
       {/* TOP-LEFT: selected + connections (raised) */}
-      {active && (
-        <div style={{ ...panelStyle, top: 64, left: 12, width: 260 }}>
+      {active && !groupMode && (
+        <div
+          style={{
+            ...panelStyle,
+            top: 64,
+            left: 12,
+            width: 260,
+            maxHeight: "calc(100vh - 140px)",
+            overflowY: "auto",
+          }}
+        >
           <div style={{ fontSize: 16, fontWeight: 700, marginBottom: 10 }}>
             {active.name} {active.year ? `(Y${active.year})` : ""}
           </div>
@@ -568,37 +1314,251 @@ export default function App() {
             links.map((l) => (
               <div
                 key={l.to.id}
-                style={{
-                  display: "flex",
-                  justifyContent: "space-between",
-                  alignItems: "center",
-                  marginBottom: 8,
-                  gap: 10,
-                }}
+                onMouseEnter={() => setHoverWhy(l.to.id)}
+                onMouseLeave={() => setHoverWhy(null)}
+                onClick={() =>
+                  setPinnedWhy((p) => (p === l.to.id ? null : l.to.id))
+                }
+                style={{ cursor: "pointer" }}
               >
                 <div
                   style={{
-                    flex: 1,
-                    minWidth: 0,
-                    overflow: "hidden",
-                    textOverflow: "ellipsis",
-                    whiteSpace: "nowrap",
+                    display: "flex",
+                    justifyContent: "space-between",
+                    alignItems: "center",
+                    marginBottom: 8,
+                    gap: 10,
                   }}
                 >
-                  {l.to.name}
+                  <div
+                    style={{
+                      flex: 1,
+                      minWidth: 0,
+                      overflow: "hidden",
+                      textOverflow: "ellipsis",
+                      whiteSpace: "nowrap",
+                    }}
+                  >
+                    {l.to.name}
+                    {shownCollabStatus(l.to) === "no" && (
+                      <span style={{ opacity: 0.6 }}> · not right now</span>
+                    )}
+                  </div>
+                  {look.bar === "energy" ? (
+                    <EnergyBars value01={l.ratio} />
+                  ) : (
+                    <FillBar value01={l.ratio} />
+                  )}
                 </div>
-                <FillBar value01={l.ratio} />
+                {(hoverWhy ?? pinnedWhy) === l.to.id && (
+                  <MatchBreakdown reasons={explainMatch(l.from, l.to, weights)} />
+                )}
               </div>
             ))
           )}
         </div>
       )}
 
+      {showWeights && (
+        <WeightsPanel
+          mode={modeDef}
+          onChange={(patch) => updateMode(modeDef.id, patch)}
+          onNew={() =>
+            setMode(addMode(`${modeDef.label} (copy)`, { ...modeDef.weights }))
+          }
+          onDelete={() => {
+            deleteMode(modeDef.id);
+            if (!modeDef.builtin) setMode("band");
+          }}
+          onClose={() => setShowWeights(false)}
+        />
+      )}
+
+      {centerPanel === "export" && (
+        <ExportPanel
+          svgRef={svgRef}
+          canvasRef={canvasNodes || canvasCells ? canvasRef : null}
+          nodes={filtered}
+          active={active}
+          links={links}
+          modeDef={modeDef}
+          yearFilter={yearFilter}
+          topN={topN}
+          roster={rawData}
+          redactedRoster={isPrivacyActive(privacy) ? redactRecords(rawData, privacy) : null}
+          privacyNote={describePrivacy(privacy)}
+          onClose={() => setCenterPanel(null)}
+        />
+      )}
+
+      {centerPanel === "import" && (
+        <ImportPanel
+          onLoad={(records, date) => {
+            setActive(null);
+            setYearFilter("all");
+            roster.replaceAll(records, date);
+            setCenterPanel(null);
+          }}
+          onReset={() => {
+            if (
+              roster.edited &&
+              !window.confirm("Discard local edits and go back to the built-in data?")
+            ) {
+              return;
+            }
+            setActive(null);
+            roster.resetToBuiltIn();
+          }}
+          terms={terms.terms}
+          onAddTerm={terms.addTerm}
+          onRemoveTerm={terms.removeTerm}
+          onSnapshot={() => terms.addTerm({ date: roster.surveyDate, records: rawData })}
+          rosterDate={roster.surveyDate}
+          onRosterDate={roster.setSurveyDate}
+          onClose={() => setCenterPanel(null)}
+        />
+      )}
+
+      {centerPanel === "queue" && (
+        <ApprovalPanel
+          pending={queue.pending}
+          onApprove={({ submittedAt, ...rec }) => {
+            roster.saveRecord({ ...rec, id: nextStudentId(rawData) });
+            queue.remove(rec.id);
+          }}
+          onEdit={({ submittedAt, ...rec }) =>
+            setEditing({
+              record: { ...rec, id: nextStudentId(rawData) },
+              isNew: true,
+              pendingId: rec.id,
+            })
+          }
+          onReject={queue.remove}
+          onReceive={queue.receive}
+          onClose={() => setCenterPanel(null)}
+        />
+      )}
+
+      {centerPanel === "stats" && (
+        <AnalyticsPanel nodes={dataset} onClose={() => setCenterPanel(null)} />
+      )}
+
+      {centerPanel === "table" && (
+        <ConnectionsTable
+          nodes={nodes}
+          active={active}
+          links={links}
+          weights={weights}
+          modeLabel={modeDef.label}
+          prefs={a11y}
+          onPrefs={setA11y}
+          highContrast={pal.id === "contrast"}
+          onHighContrast={(on) => theme.setChoice(on ? "contrast" : "auto")}
+          onSelect={setActive}
+          onClose={() => setCenterPanel(null)}
+        />
+      )}
+
+      {centerPanel === "privacy" && (
+        <PrivacyPanel
+          privacy={privacy}
+          onChange={setPrivacy}
+          counts={{
+            total: allStudents.length,
+            shown: nowTerm.nodes.length,
+            yes: allStudents.filter((d) => d.consent === true).length,
+            no: allStudents.filter((d) => d.consent === false).length,
+            unknown: allStudents.filter((d) => d.consent == null).length,
+          }}
+          onClose={() => setCenterPanel(null)}
+        />
+      )}
+
+      {/* BOTTOM-CENTER: cluster legend */}
+      {colorClusters && (
+        <ClusterLegend
+          clusters={colorClusters.clusters}
+          focused={focusedCluster}
+          onFocus={setFocusedCluster}
+        />
+      )}
+
+      {/* BOTTOM-LEFT: band builder */}
+      {bandResult && (
+        <BandPanel
+          result={bandResult}
+          lineup={lineup}
+          onLineupChange={setLineup}
+          respectCollab={respectCollab}
+          onRespectCollabChange={setRespectCollab}
+          activeId={active?.id}
+          onSelect={setActive}
+          onClose={() => setShowBands(false)}
+        />
+      )}
+
+      {/* BOTTOM-RIGHT: profile editor */}
+      {editing && (
+        <ProfileEditor
+          key={editing.record.id}
+          record={editing.record}
+          isNew={editing.isNew}
+          records={rawData}
+          vocab={vocab}
+          onSave={(rec) => {
+            roster.saveRecord(rec);
+            if (editing.pendingId) queue.remove(editing.pendingId);
+            setEditing(null);
+            if (editing.isNew) setPendingSelect(rec.id);
+          }}
+          onDelete={(id) => {
+            roster.deleteRecord(id);
+            setGroupIds((ids) => ids.filter((x) => x !== id));
+            setEditing(null);
+          }}
+          onCancel={() => setEditing(null)}
+        />
+      )}
+
       {/* BOTTOM-RIGHT: profile */}
-      {active && (
+      {active && !editing && (
         <div style={{ ...panelStyle, bottom: 12, right: 12, width: 300 }}>
-          <div style={{ fontSize: 14, fontWeight: 700, marginBottom: 10 }}>
-            Profile
+          <div
+            style={{
+              display: "flex",
+              justifyContent: "space-between",
+              alignItems: "center",
+              marginBottom: 10,
+            }}
+          >
+            <div style={{ fontSize: 14, fontWeight: 700 }}>
+              Profile{pastTerm ? ` · ${viewTerm.label}` : ""}
+            </div>
+            {!pastTerm && (
+              <div style={{ display: "flex", gap: 6 }}>
+                <button
+                  onClick={() => copyStudentLink(active)}
+                  disabled={!studentLinksEnabled()}
+                  title={
+                    studentLinksEnabled()
+                      ? "Copy a signed link to this student's own view"
+                      : "Student links are off (no REACT_APP_LINK_SECRET in this build)"
+                  }
+                  style={buttonStyle}
+                >
+                  {copiedLink === active.id ? "Copied" : "Link"}
+                </button>
+                <button
+                  onClick={() => {
+                    const record = rawData.find((r) => r.id === active.id);
+                    if (record) setEditing({ record, isNew: false });
+                  }}
+                  style={buttonStyle}
+                >
+                  Edit
+                </button>
+              </div>
+            )}
           </div>
 
           {profileLine("Student", [active.name])}
@@ -617,6 +1577,7 @@ export default function App() {
           {profileLine("Roles", active.roles)}
           {profileLine("Geek", active.geek)}
           {active.collab ? profileLine("Collab", [String(active.collab)]) : null}
+          <TasteTimeline entries={personTimeline(history, active.id)} />
         </div>
       )}
     </div>
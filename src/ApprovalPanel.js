@@ -0,0 +1,159 @@
+import React, { useState } from "react";
+import { normalizeDataset } from "./dataset";
+import { parseSubmission } from "./roster";
+import { COLORS, panelStyle, controlStyle, buttonStyle } from "./ui";
+
+/* ---------- questionnaire approval queue ---------- */
+
+export default function ApprovalPanel({
+  pending,
+  onApprove,
+  onEdit,
+  onReject,
+  onReceive,
+  onClose,
+}) {
+  const preview = normalizeDataset(pending);
+  const rowStyle = { display: "flex", alignItems: "center", gap: 8 };
+  const [pasted, setPasted] = useState("");
+  const [note, setNote] = useState(null); // { error?, text }
+
+  // submission files / text sent from students' phones
+  const receive = (texts) => {
+    const recs = [];
+    const errors = [];
+    texts.forEach((t) => {
+      try {
+        const { profiles, rejected } = parseSubmission(t);
+        recs.push(...profiles);
+        errors.push(...rejected);
+      } catch (err) {
+        errors.push(err.message);
+      }
+    });
+    if (recs.length) onReceive(recs);
+    const added = `Added ${recs.length} ${recs.length === 1 ? "profile" : "profiles"}.`;
+    setNote(
+      errors.length
+        ? { error: true, text: `${added} Not added: ${errors.join(" ")}` }
+        : { text: added }
+    );
+  };
+
+  const onFiles = async (e) => {
+    const files = [...(e.target.files || [])];
+    e.target.value = "";
+    if (files.length) receive(await Promise.all(files.map((f) => f.text())));
+  };
+
+  return (
+    <div
+      style={{
+        ...panelStyle,
+        top: 64,
+        left: "50%",
+        transform: "translateX(-50%)",
+        width: 420,
+        maxHeight: "70vh",
+        overflowY: "auto",
+      }}
+    >
+      <div style={{ ...rowStyle, justifyContent: "space-between", marginBottom: 8 }}>
+        <div style={{ fontSize: 14, fontWeight: 700 }}>Waiting for approval</div>
+        <button onClick={onClose} style={buttonStyle}>
+          ×
+        </button>
+      </div>
+
+      <div style={{ opacity: 0.75, marginBottom: 8, textTransform: "none" }}>
+        Students fill in the questionnaire at{" "}
+        <a href="/survey" target="_blank" rel="noreferrer" style={{ color: "inherit" }}>
+          {window.location.origin}/survey
+        </a>
+      </div>
+
+      <div style={{ ...rowStyle, flexWrap: "wrap", marginBottom: 8 }}>
+        <div style={{ opacity: 0.85 }}>Add submissions:</div>
+        <input
+          type="file"
+          accept=".json,application/json"
+          multiple
+          onChange={onFiles}
+          aria-label="Submission files"
+          style={{ ...controlStyle, textTransform: "none", maxWidth: 200 }}
+        />
+      </div>
+      <div style={{ ...rowStyle, marginBottom: 8 }}>
+        <textarea
+          value={pasted}
+          onChange={(e) => setPasted(e.target.value)}
+          placeholder="…or paste a copied submission"
+          rows={2}
+          style={{ ...controlStyle, flex: 1, textTransform: "none", resize: "vertical" }}
+        />
+        <button
+          onClick={() => {
+            receive([pasted]);
+            setPasted("");
+          }}
+          disabled={!pasted.trim()}
+          style={buttonStyle}
+        >
+          Add
+        </button>
+      </div>
+      {note && (
+        <div
+          style={{
+            color: note.error ? COLORS.danger : undefined,
+            opacity: note.error ? 1 : 0.8,
+            marginBottom: 8,
+            textTransform: "none",
+          }}
+        >
+          {note.text}
+        </div>
+      )}
+
+      {pending.length === 0 && <div style={{ opacity: 0.7 }}>Nothing queued.</div>}
+
+      {preview.map((d, i) => (
+        <div
+          key={d.id}
+          style={{
+            borderTop: `1px solid ${COLORS.rule}`,
+            paddingTop: 6,
+            marginTop: 6,
+          }}
+        >
+          <div style={{ ...rowStyle, justifyContent: "space-between" }}>
+            <div style={{ fontWeight: 700, textTransform: "none" }}>
+              {d.name} {d.year ? `(Y${d.year})` : ""}
+            </div>
+            <div style={rowStyle}>
+              <button onClick={() => onApprove(pending[i])} style={buttonStyle}>
+                Approve
+              </button>
+              <button onClick={() => onEdit(pending[i])} style={buttonStyle}>
+                Edit
+              </button>
+              <button
+                onClick={() => onReject(pending[i].id)}
+                style={{ ...buttonStyle, color: COLORS.danger }}
+              >
+                Reject
+              </button>
+            </div>
+          </div>
+          <div style={{ textTransform: "none", letterSpacing: 0, opacity: 0.8, marginTop: 4 }}>
+            {[d.instruments, d.genres, d.artists, d.roles]
+              .map((a) => a.join(", "))
+              .filter(Boolean)
+              .join(" · ")}
+            {d.collab ? ` · collab: ${d.collab}` : ""}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,139 @@
+import React from "react";
+import { LINEUPS } from "./bands";
+import { COLORS, panelStyle, controlStyle, buttonStyle } from "./ui";
+
+/* ---------- band builder panel ---------- */
+
+export default function BandPanel({
+  result,
+  lineup,
+  onLineupChange,
+  respectCollab,
+  onRespectCollabChange,
+  activeId,
+  onSelect,
+  onClose,
+}) {
+  const { bands, bench, missing } = result;
+
+  return (
+    <div
+      style={{
+        ...panelStyle,
+        bottom: 12,
+        left: 12,
+        width: 320,
+        maxHeight: "55vh",
+        overflowY: "auto",
+      }}
+    >
+      <div
+        style={{
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "center",
+          marginBottom: 8,
+        }}
+      >
+        <div style={{ fontSize: 14, fontWeight: 700 }}>Band builder</div>
+        <button onClick={onClose} style={buttonStyle}>
+          ×
+        </button>
+      </div>
+
+      <div
+        style={{
+          display: "flex",
+          gap: 10,
+          alignItems: "center",
+          flexWrap: "wrap",
+          marginBottom: 10,
+        }}
+      >
+        <select
+          value={lineup}
+          onChange={(e) => onLineupChange(e.target.value)}
+          style={controlStyle}
+        >
+          {Object.entries(LINEUPS).map(([k, l]) => (
+            <option key={k} value={k}>
+              {l.label}
+            </option>
+          ))}
+        </select>
+
+        <label style={{ display: "flex", alignItems: "center", gap: 4 }}>
+          <input
+            type="checkbox"
+            checked={respectCollab}
+            onChange={(e) => onRespectCollabChange(e.target.checked)}
+          />
+          Skip "not right now"
+        </label>
+      </div>
+
+      {bands.length === 0 && (
+        <div style={{ opacity: 0.75, marginBottom: 8 }}>
+          Not enough players to fill a line-up.
+        </div>
+      )}
+
+      {bands.map((b, i) => (
+        <div
+          key={b.members.map((m) => m.student.id).join("+")}
+          style={{
+            borderTop: `1px solid ${COLORS.rule}`,
+            paddingTop: 6,
+            marginBottom: 8,
+          }}
+        >
+          <div
+            style={{
+              display: "flex",
+              justifyContent: "space-between",
+              marginBottom: 4,
+              opacity: 0.85,
+            }}
+          >
+            <div>Band {i + 1}</div>
+            <div>{b.score}</div>
+          </div>
+          {b.members.map(({ slot, student }) => (
+            <div
+              key={slot.key}
+              onClick={() => onSelect(student)}
+              style={{
+                display: "flex",
+                gap: 8,
+                cursor: "pointer",
+                textTransform: "none",
+                letterSpacing: 0,
+                fontWeight: student.id === activeId ? 700 : 400,
+              }}
+            >
+              <div style={{ width: 90, opacity: 0.7 }}>{slot.label}</div>
+              <div>
+                {student.name} {student.year ? `(Y${student.year})` : ""}
+              </div>
+            </div>
+          ))}
+        </div>
+      ))}
+
+      <div
+        style={{
+          borderTop: `1px solid ${COLORS.rule}`,
+          paddingTop: 6,
+          opacity: 0.75,
+        }}
+      >
+        <div>Unplaced: {bench.length}</div>
+        {missing.length > 0 && (
+          <div style={{ textTransform: "none", letterSpacing: 0 }}>
+            No more: {missing.map((s) => s.label).join(", ")}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
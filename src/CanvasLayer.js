@@ -0,0 +1,134 @@
+import React, { useEffect, useMemo, useRef } from "react";
+import { maxScore } from "./similarity";
+
+/* =========================================================
+   CANVAS LAYER (large rosters)
+   - Draws the node dots and/or the heatmap cells behind the
+     SVG once there are too many for one element each
+   - Same camera transform as the SVG <g>, crisp on HiDPI
+   - Heatmap is rendered once into an n x n bitmap and scaled
+     up with smoothing off; only the camera redraws it
+   Hit-testing lives in App (pickAt) so taps still select.
+   ========================================================= */
+
+// node count above which dots move to canvas
+export const CANVAS_NODES = 300;
+// matrix size above which heatmap cells move to canvas
+export const CANVAS_CELLS = 80;
+
+// "#rrggbb" -> [r, g, b]
+function hexRgb(hex) {
+  const m = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex);
+  return m ? m.slice(1).map((h) => parseInt(h, 16)) : [0, 255, 102];
+}
+
+// n x n bitmap, one pixel per cell, accent colour at the SVG cell opacity
+function heatmapBitmap(scores, color) {
+  const [r, g, b] = hexRgb(color);
+  const n = scores.length;
+  const max = maxScore(scores);
+  const canvas = document.createElement("canvas");
+  canvas.width = n;
+  canvas.height = n;
+  const ctx = canvas.getContext("2d");
+  const img = ctx.createImageData(n, n);
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < n; j++) {
+      const s = scores[i][j];
+      if (!(s > 0)) continue;
+      const p = (i * n + j) * 4;
+      img.data[p] = r;
+      img.data[p + 1] = g;
+      img.data[p + 2] = b;
+      img.data[p + 3] = Math.round((0.08 + (s / max) * 0.82) * 255);
+    }
+  }
+  ctx.putImageData(img, 0, 0);
+  return canvas;
+}
+
+export default function CanvasLayer({
+  canvasRef,
+  width,
+  height,
+  view,
+  nodes, // null = dots stay in the SVG
+  at,
+  nodeStyle,
+  matrix, // { x0, y0, cell, order } or null
+  scores,
+  palette,
+}) {
+  const localRef = useRef(null);
+  const ref = canvasRef ?? localRef;
+  const bitmap = useMemo(
+    () => (matrix && scores ? heatmapBitmap(scores, palette.accent) : null),
+    [matrix, scores, palette]
+  );
+
+  useEffect(() => {
+    const canvas = ref.current;
+    if (!canvas) return;
+    const dpr = window.devicePixelRatio || 1;
+    const w = Math.round(width * dpr);
+    const h = Math.round(height * dpr);
+    if (canvas.width !== w) canvas.width = w;
+    if (canvas.height !== h) canvas.height = h;
+
+    const ctx = canvas.getContext("2d");
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, w, h);
+    ctx.setTransform(dpr * view.k, 0, 0, dpr * view.k, dpr * view.x, dpr * view.y);
+
+    if (bitmap) {
+      const size = matrix.order.length * matrix.cell;
+      ctx.imageSmoothingEnabled = false;
+      ctx.drawImage(bitmap, matrix.x0, matrix.y0, size, size);
+    }
+
+    if (nodes) {
+      nodes.forEach((d) => {
+        const { x, y } = at(d);
+        const st = nodeStyle(d);
+        ctx.beginPath();
+        ctx.arc(x, y, st.r, 0, Math.PI * 2);
+        ctx.globalAlpha = st.opacity * st.fillOpacity;
+        ctx.fillStyle = st.fill;
+        ctx.fill();
+        if (st.stroke !== "none") {
+          ctx.globalAlpha = st.opacity;
+          ctx.strokeStyle = st.stroke;
+          ctx.lineWidth = st.strokeWidth;
+          ctx.setLineDash(st.dash ? st.dash.split(" ").map(Number) : []);
+          ctx.stroke();
+        }
+        if (st.halo) {
+          ctx.beginPath();
+          ctx.arc(x, y, st.r + 4, 0, Math.PI * 2);
+          ctx.globalAlpha = 1;
+          ctx.strokeStyle = st.halo;
+          ctx.lineWidth = 1.5;
+          ctx.setLineDash([]);
+          ctx.stroke();
+        }
+      });
+      ctx.globalAlpha = 1;
+      ctx.setLineDash([]);
+    }
+  });
+
+  return (
+    <canvas
+      ref={ref}
+      aria-hidden="true"
+      style={{
+        position: "absolute",
+        top: 0,
+        left: 0,
+        width,
+        height,
+        pointerEvents: "none",
+      }}
+    />
+  );
+}
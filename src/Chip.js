@@ -0,0 +1,23 @@
+import React from "react";
+import { COLORS, buttonStyle } from "./ui";
+
+/* ---------- toggle chip (controlled vocabularies) ---------- */
+
+export default function Chip({ on, label, onClick, style }) {
+  return (
+    <button
+      type="button"
+      aria-pressed={on}
+      onClick={onClick}
+      style={{
+        ...buttonStyle,
+        padding: "2px 6px",
+        background: on ? COLORS.tint : buttonStyle.background,
+        opacity: on ? 1 : 0.7,
+        ...style,
+      }}
+    >
+      {label}
+    </button>
+  );
+}
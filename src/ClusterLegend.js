@@ -0,0 +1,48 @@
+import React from "react";
+import { panelStyle } from "./ui";
+
+/* ---------- cluster legend ---------- */
+
+export default function ClusterLegend({ clusters, focused, onFocus }) {
+  return (
+    <div
+      style={{
+        ...panelStyle,
+        bottom: 12,
+        left: "50%",
+        transform: "translateX(-50%)",
+        maxWidth: 560,
+        display: "flex",
+        flexWrap: "wrap",
+        gap: "4px 14px",
+      }}
+    >
+      {clusters.map((c) => (
+        <div
+          key={c.id}
+          onClick={() => onFocus(focused === c.id ? null : c.id)}
+          style={{
+            display: "flex",
+            alignItems: "center",
+            gap: 6,
+            cursor: "pointer",
+            textTransform: "none",
+            letterSpacing: 0,
+            opacity: focused == null || focused === c.id ? 1 : 0.45,
+          }}
+        >
+          <span
+            style={{
+              width: 10,
+              height: 10,
+              borderRadius: "50%",
+              background: c.color,
+              display: "inline-block",
+            }}
+          />
+          {c.label} ({c.members.length})
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,133 @@
+import React, { useMemo } from "react";
+import Chip from "./Chip";
+import { explainMatch } from "./similarity";
+import { panelStyle, controlStyle, buttonStyle, ruleStyle } from "./ui";
+
+/* ---------- table view: the constellation as rows (screen readers) ---------- */
+
+export default function ConnectionsTable({
+  nodes,
+  active,
+  links,
+  weights,
+  modeLabel,
+  prefs,
+  onPrefs,
+  highContrast,
+  onHighContrast,
+  onSelect,
+  onClose,
+}) {
+  const students = useMemo(
+    () => nodes.slice().sort((a, b) => String(a.name).localeCompare(String(b.name))),
+    [nodes]
+  );
+  const max = links[0]?.score || 1;
+  const cell = { padding: "3px 6px", textAlign: "left", verticalAlign: "top" };
+
+  return (
+    <div
+      role="dialog"
+      aria-label="Connections table"
+      style={{
+        ...panelStyle,
+        top: 64,
+        left: "50%",
+        transform: "translateX(-50%)",
+        width: 620,
+        maxHeight: "80vh",
+        overflowY: "auto",
+      }}
+    >
+      <div
+        style={{
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "center",
+          marginBottom: 8,
+        }}
+      >
+        <div style={{ fontSize: 14, fontWeight: 700 }}>Table view</div>
+        <button onClick={onClose} aria-label="Close table view" style={buttonStyle}>
+          ×
+        </button>
+      </div>
+
+      <div style={{ display: "flex", gap: 4, flexWrap: "wrap", marginBottom: 10 }}>
+        <Chip
+          label="High contrast"
+          on={highContrast}
+          onClick={() => onHighContrast(!highContrast)}
+        />
+        <Chip
+          label="Reduce motion"
+          on={prefs.reduceMotion}
+          onClick={() => onPrefs({ ...prefs, reduceMotion: !prefs.reduceMotion })}
+        />
+      </div>
+
+      <label style={{ display: "flex", gap: 8, alignItems: "center", marginBottom: 10 }}>
+        Student
+        <select
+          value={active?.id ?? ""}
+          onChange={(e) => onSelect(students.find((d) => d.id === e.target.value) ?? null)}
+          style={{ ...controlStyle, flex: 1 }}
+        >
+          <option value="">— choose —</option>
+          {students.map((d) => (
+            <option key={d.id} value={d.id}>
+              {d.name}
+              {d.year != null ? ` (Y${d.year})` : ""}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      {!active ? (
+        <div style={{ opacity: 0.75, textTransform: "none" }}>
+          Choose a student to list their connections.
+        </div>
+      ) : (
+        <table style={{ borderCollapse: "collapse", width: "100%", textTransform: "none" }}>
+          <caption style={{ textAlign: "left", marginBottom: 6, opacity: 0.85 }}>
+            {active.name}: {links.length} connections by {modeLabel}
+          </caption>
+          <thead>
+            <tr>
+              <th scope="col" style={cell}>#</th>
+              <th scope="col" style={cell}>Student</th>
+              <th scope="col" style={cell}>Year</th>
+              <th scope="col" style={cell}>Match</th>
+              <th scope="col" style={cell}>Shared</th>
+              <th scope="col" style={cell}>Both willing</th>
+            </tr>
+          </thead>
+          <tbody>
+            {links.map((l, i) => (
+              <tr key={l.to.id} style={ruleStyle}>
+                <td style={cell}>{i + 1}</td>
+                <th scope="row" style={cell}>
+                  <button
+                    onClick={() => onSelect(l.to)}
+                    aria-label={`Select ${l.to.name}`}
+                    style={{ ...buttonStyle, padding: "0 4px" }}
+                  >
+                    {l.to.name}
+                  </button>
+                </th>
+                <td style={cell}>{l.to.year ?? "–"}</td>
+                <td style={cell}>{Math.round((l.score / max) * 100)}%</td>
+                <td style={cell}>
+                  {explainMatch(active, l.to, weights)
+                    .map((r) => `${r.label}: ${r.shared.join(", ")}`)
+                    .join("; ")}
+                </td>
+                <td style={cell}>{l.mutual ? "yes" : "no"}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
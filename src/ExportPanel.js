@@ -0,0 +1,162 @@
+import React from "react";
+import {
+  downloadBlob,
+  exportPNG,
+  exportSVG,
+  graphToGraphML,
+  linksToCSV,
+  similarityGraph,
+} from "./exporters";
+import { exportRosterJSON } from "./roster";
+import { panelStyle, buttonStyle } from "./ui";
+
+/* ---------- export panel ---------- */
+
+export default function ExportPanel({
+  svgRef,
+  canvasRef,
+  nodes,
+  active,
+  links,
+  modeDef,
+  yearFilter,
+  topN,
+  roster, // real records: data.json must round-trip
+  redactedRoster, // the same under the privacy rules, or null when they're off
+  privacyNote,
+  onClose,
+}) {
+  const base = `bms-${modeDef.id}-${yearFilter === "all" ? "all" : `y${yearFilter}`}`;
+  const describe = `${modeDef.label}, ${
+    yearFilter === "all" ? "all years" : `year ${yearFilter}`
+  }, top ${topN}`;
+
+  const graph = () => similarityGraph(nodes, modeDef.weights, topN);
+
+  const rowStyle = { display: "flex", gap: 8, flexWrap: "wrap", marginBottom: 8 };
+
+  return (
+    <div
+      style={{
+        ...panelStyle,
+        top: 64,
+        left: "50%",
+        transform: "translateX(-50%)",
+        width: 360,
+      }}
+    >
+      <div
+        style={{
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "center",
+          marginBottom: 8,
+        }}
+      >
+        <div style={{ fontSize: 14, fontWeight: 700 }}>Export</div>
+        <button onClick={onClose} style={buttonStyle}>
+          ×
+        </button>
+      </div>
+
+      <div style={{ opacity: 0.75, marginBottom: 8, textTransform: "none" }}>
+        {nodes.length} students · {describe}
+        {privacyNote && ` · privacy: ${privacyNote}`}
+      </div>
+
+      <div style={{ opacity: 0.85, marginBottom: 4 }}>Constellation</div>
+      <div style={rowStyle}>
+        <button
+          onClick={() => exportSVG(svgRef.current, `${base}.svg`, canvasRef?.current)}
+          style={buttonStyle}
+        >
+          SVG
+        </button>
+        <button
+          onClick={() => exportPNG(svgRef.current, `${base}.png`, 2, canvasRef?.current)}
+          style={buttonStyle}
+        >
+          PNG
+        </button>
+      </div>
+
+      <div style={{ opacity: 0.85, marginBottom: 4 }}>Selected student</div>
+      <div style={rowStyle}>
+        <button
+          disabled={!active || !links.length}
+          onClick={() =>
+            downloadBlob(
+              new Blob([linksToCSV(active, links, modeDef.weights)], {
+                type: "text/csv;charset=utf-8",
+              }),
+              `${base}-${active.id}.csv`
+            )
+          }
+          style={{ ...buttonStyle, opacity: active && links.length ? 1 : 0.4 }}
+        >
+          Links CSV{active ? ` (${active.name})` : ""}
+        </button>
+      </div>
+
+      <div style={{ opacity: 0.85, marginBottom: 4 }}>Similarity graph</div>
+      <div style={rowStyle}>
+        <button
+          onClick={() =>
+            downloadBlob(
+              new Blob([graphToGraphML(graph(), describe)], {
+                type: "application/graphml+xml",
+              }),
+              `${base}.graphml`
+            )
+          }
+          style={buttonStyle}
+        >
+          GraphML
+        </button>
+        <button
+          onClick={() =>
+            downloadBlob(
+              new Blob(
+                [JSON.stringify({ description: describe, ...graph() }, null, 2)],
+                { type: "application/json" }
+              ),
+              `${base}.json`
+            )
+          }
+          style={buttonStyle}
+        >
+          JSON
+        </button>
+      </div>
+
+      <div style={{ opacity: 0.85, marginBottom: 4 }}>Roster</div>
+      <div style={rowStyle}>
+        <button
+          onClick={() =>
+            downloadBlob(
+              new Blob([exportRosterJSON(roster)], { type: "application/json" }),
+              "data.json"
+            )
+          }
+          style={buttonStyle}
+        >
+          data.json ({roster.length} profiles)
+        </button>
+        {redactedRoster && (
+          <button
+            onClick={() =>
+              downloadBlob(
+                new Blob([exportRosterJSON(redactedRoster)], { type: "application/json" }),
+                "data-redacted.json"
+              )
+            }
+            title="For sharing only; names, hidden fields and refusals are changed or removed"
+            style={buttonStyle}
+          >
+            data-redacted.json ({redactedRoster.length}, not for re-import)
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,135 @@
+import React, { useMemo, useState } from "react";
+import {
+  COLLAB_FILTERS,
+  FILTER_FIELDS,
+  filterField,
+  makeRule,
+  ruleLabel,
+  sameRule,
+} from "./filters";
+import { controlStyle, buttonStyle, toggleStyle } from "./ui";
+
+/* ---------- filter row: add rules, chips, all / any ---------- */
+
+export default function FilterBar({ filters, onChange, nodes, shown }) {
+  const [field, setField] = useState("instruments");
+  const [value, setValue] = useState("");
+  const def = filterField(field);
+  const { combine, rules } = filters;
+
+  // values present in the roster, for the input's suggestions
+  const suggestions = useMemo(() => {
+    if (def.kind !== "list" && def.kind !== "text") return [];
+    const seen = new Set();
+    nodes.forEach((d) => (d[field] || []).forEach((v) => seen.add(String(v).toLowerCase())));
+    return [...seen].sort();
+  }, [nodes, field, def]);
+
+  const add = (e) => {
+    e.preventDefault();
+    const rule = makeRule(field, value);
+    if (!rule) return;
+    if (!rules.some((r) => sameRule(r, rule))) onChange({ ...filters, rules: [...rules, rule] });
+    if (def.kind !== "collab") setValue("");
+  };
+
+  const remove = (rule) => onChange({ ...filters, rules: rules.filter((r) => r !== rule) });
+
+  return (
+    <form
+      onSubmit={add}
+      aria-label="Filters"
+      style={{ display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap" }}
+    >
+      <div style={{ opacity: 0.85 }}>Filter:</div>
+      <select
+        value={field}
+        onChange={(e) => {
+          setField(e.target.value);
+          setValue(filterField(e.target.value).kind === "collab" ? "willing" : "");
+        }}
+        aria-label="Filter field"
+        style={controlStyle}
+      >
+        {FILTER_FIELDS.map((f) => (
+          <option key={f.key} value={f.key}>
+            {f.label}
+          </option>
+        ))}
+      </select>
+      {def.kind === "collab" ? (
+        <select
+          value={value}
+          onChange={(e) => setValue(e.target.value)}
+          aria-label="Collab status"
+          style={controlStyle}
+        >
+          {COLLAB_FILTERS.map((c) => (
+            <option key={c.id} value={c.id}>
+              {c.label}
+            </option>
+          ))}
+        </select>
+      ) : (
+        <>
+          <input
+            value={value}
+            onChange={(e) => setValue(e.target.value)}
+            list="filter-suggestions"
+            placeholder={def.hint ?? `a ${def.label.toLowerCase()}...`}
+            aria-label={`${def.label} value`}
+            style={{ ...controlStyle, width: 140, textTransform: "none", letterSpacing: 0 }}
+          />
+          <datalist id="filter-suggestions">
+            {suggestions.map((s) => (
+              <option key={s} value={s} />
+            ))}
+          </datalist>
+        </>
+      )}
+      <button type="submit" disabled={!makeRule(field, value)} style={buttonStyle}>
+        + Add
+      </button>
+
+      {rules.length > 1 && (
+        <button
+          type="button"
+          onClick={() => onChange({ ...filters, combine: combine === "and" ? "or" : "and" })}
+          title="Students must match every filter (all) or at least one (any)"
+          style={toggleStyle(combine === "or")}
+        >
+          Match {combine === "and" ? "all" : "any"}
+        </button>
+      )}
+
+      {rules.map((r, i) => (
+        <React.Fragment key={`${r.field}:${r.value}`}>
+          {i > 0 && (
+            <span style={{ opacity: 0.6 }}>{combine === "and" ? "and" : "or"}</span>
+          )}
+          <button
+            type="button"
+            onClick={() => remove(r)}
+            aria-label={`Remove filter ${ruleLabel(r)}`}
+            style={{ ...toggleStyle(true), padding: "2px 6px", textTransform: "none" }}
+          >
+            {ruleLabel(r)} ×
+          </button>
+        </React.Fragment>
+      ))}
+
+      {rules.length > 0 && (
+        <>
+          <div style={{ opacity: 0.75 }}>{shown} shown</div>
+          <button
+            type="button"
+            onClick={() => onChange({ ...filters, rules: [] })}
+            style={buttonStyle}
+          >
+            Clear
+          </button>
+        </>
+      )}
+    </form>
+  );
+}
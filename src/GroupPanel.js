@@ -0,0 +1,124 @@
+import React from "react";
+import { COLORS, panelStyle, buttonStyle } from "./ui";
+
+/* ---------- multi-select group panel ---------- */
+
+function Counts({ label, items }) {
+  if (!items.length) return null;
+  return (
+    <div style={{ marginBottom: 8 }}>
+      <div style={{ opacity: 0.8, marginBottom: 2 }}>{label}</div>
+      <div style={{ textTransform: "none", letterSpacing: 0 }}>
+        {items.map((x) => `${x.value}${x.count > 1 ? ` ×${x.count}` : ""}`).join(", ")}
+      </div>
+    </div>
+  );
+}
+
+export default function GroupPanel({ members, summary, onSelect, onRemove, onClear }) {
+  const { union, shared, profile } = summary;
+  const sectionStyle = {
+    borderTop: `1px solid ${COLORS.rule}`,
+    paddingTop: 6,
+    marginTop: 6,
+  };
+  const nameStyle = {
+    cursor: "pointer",
+    textTransform: "none",
+    letterSpacing: 0,
+    overflow: "hidden",
+    textOverflow: "ellipsis",
+    whiteSpace: "nowrap",
+  };
+
+  return (
+    <div
+      style={{
+        ...panelStyle,
+        top: 64,
+        left: 12,
+        width: 280,
+        maxHeight: "calc(100vh - 140px)",
+        overflowY: "auto",
+      }}
+    >
+      <div
+        style={{
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "center",
+          marginBottom: 8,
+        }}
+      >
+        <div style={{ fontSize: 16, fontWeight: 700 }}>Group of {members.length}</div>
+        <button onClick={onClear} style={buttonStyle}>
+          Clear
+        </button>
+      </div>
+
+      {members.map((m) => (
+        <div
+          key={m.id}
+          style={{ display: "flex", justifyContent: "space-between", marginBottom: 4 }}
+        >
+          <div onClick={() => onSelect(m)} style={nameStyle}>
+            {m.name} {m.year ? `(Y${m.year})` : ""}
+          </div>
+          <div onClick={() => onRemove(m)} style={{ cursor: "pointer", opacity: 0.7 }}>
+            ×
+          </div>
+        </div>
+      ))}
+
+      <div style={sectionStyle}>
+        <Counts label="Instruments" items={profile.instruments} />
+        <Counts label="Roles" items={profile.roles} />
+        {profile.commonGenres.length > 0 && (
+          <div style={{ marginBottom: 8 }}>
+            <div style={{ opacity: 0.8, marginBottom: 2 }}>Everyone likes</div>
+            <div style={{ textTransform: "none", letterSpacing: 0 }}>
+              {profile.commonGenres.join(", ")}
+            </div>
+          </div>
+        )}
+        <Counts label="Genres" items={profile.genres} />
+        <div>
+          <div style={{ opacity: 0.8, marginBottom: 2 }}>Gaps</div>
+          <div style={{ textTransform: "none", letterSpacing: 0 }}>
+            {profile.gaps.length
+              ? `no ${profile.gaps.map((g) => g.label.toLowerCase()).join(", ")}`
+              : "full four-piece covered"}
+          </div>
+        </div>
+      </div>
+
+      <div style={sectionStyle}>
+        <div style={{ opacity: 0.8, marginBottom: 4 }}>
+          Shared matches ({shared.length})
+        </div>
+        {shared.length === 0 && <div style={{ opacity: 0.6 }}>None in common.</div>}
+        {shared.map((e) => (
+          <div key={e.node.id} onClick={() => onSelect(e.node)} style={nameStyle}>
+            {e.node.name}
+          </div>
+        ))}
+      </div>
+
+      <div style={sectionStyle}>
+        <div style={{ opacity: 0.8, marginBottom: 4 }}>All top matches</div>
+        {union.map((e) => (
+          <div
+            key={e.node.id}
+            onClick={() => onSelect(e.node)}
+            style={{ display: "flex", justifyContent: "space-between", gap: 8 }}
+          >
+            <div style={nameStyle}>{e.node.name}</div>
+            <div style={{ opacity: 0.7, flexShrink: 0 }}>
+              {e.from.length}/{members.length}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
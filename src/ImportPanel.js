@@ -0,0 +1,248 @@
+import React, { useMemo, useState } from "react";
+import { normalizeDataset } from "./dataset";
+import { todayISO } from "./history";
+import { IMPORT_FIELDS, guessColumnMapping, rowsToRecords } from "./importer";
+import { readSpreadsheetFile } from "./spreadsheet";
+import { COLORS, panelStyle, controlStyle, buttonStyle, ruleStyle } from "./ui";
+
+/* ---------- survey import panel (+ saved past terms) ---------- */
+
+export default function ImportPanel({
+  onLoad,
+  onReset,
+  terms,
+  onAddTerm,
+  onRemoveTerm,
+  onSnapshot,
+  rosterDate,
+  onRosterDate,
+  onClose,
+}) {
+  const [fileName, setFileName] = useState("");
+  const [termDate, setTermDate] = useState(todayISO);
+  const [rows, setRows] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [error, setError] = useState("");
+
+  const onFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    setError("");
+    setFileName(file.name);
+    try {
+      const parsed = await readSpreadsheetFile(file);
+      if (parsed.length < 2) throw new Error("The file has no answer rows.");
+      setRows(parsed);
+      setMapping(guessColumnMapping(parsed[0]));
+    } catch (err) {
+      setRows(null);
+      setError(err.message || String(err));
+    }
+  };
+
+  const result = useMemo(
+    () => (rows ? rowsToRecords(rows, mapping) : null),
+    [rows, mapping]
+  );
+  const preview = useMemo(
+    () => (result ? normalizeDataset(result.records) : []),
+    [result]
+  );
+
+  const header = rows?.[0] ?? [];
+  const rowStyle = { display: "flex", alignItems: "center", gap: 8, marginBottom: 4 };
+
+  return (
+    <div
+      style={{
+        ...panelStyle,
+        top: 64,
+        left: "50%",
+        transform: "translateX(-50%)",
+        width: 560,
+        maxHeight: "80vh",
+        overflowY: "auto",
+      }}
+    >
+      <div style={{ ...rowStyle, justifyContent: "space-between", marginBottom: 8 }}>
+        <div style={{ fontSize: 14, fontWeight: 700 }}>Import survey</div>
+        <button onClick={onClose} style={buttonStyle}>
+          ×
+        </button>
+      </div>
+
+      <div style={{ ...rowStyle, marginBottom: 10 }}>
+        <input
+          type="file"
+          accept=".csv,.tsv,.xlsx,text/csv"
+          onChange={onFile}
+          style={{ ...controlStyle, textTransform: "none" }}
+        />
+        <button onClick={onReset} style={buttonStyle}>
+          Built-in data
+        </button>
+      </div>
+
+      {error && (
+        <div style={{ color: COLORS.danger, textTransform: "none", marginBottom: 8 }}>
+          {error}
+        </div>
+      )}
+
+      {rows && (
+        <>
+          <div style={{ opacity: 0.8, marginBottom: 6, textTransform: "none" }}>
+            {fileName}: {rows.length - 1} rows
+          </div>
+
+          {IMPORT_FIELDS.map((f) => (
+            <div key={f.key} style={rowStyle}>
+              <div style={{ width: 90, opacity: 0.85 }}>{f.label}</div>
+              <select
+                value={mapping[f.key] ?? -1}
+                onChange={(e) =>
+                  setMapping((m) => ({ ...m, [f.key]: Number(e.target.value) }))
+                }
+                style={{ ...controlStyle, flex: 1, minWidth: 0, textTransform: "none" }}
+              >
+                <option value={-1}>(not in file)</option>
+                {header.map((h, i) => (
+                  <option key={i} value={i}>
+                    {h || `Column ${i + 1}`}
+                  </option>
+                ))}
+              </select>
+            </div>
+          ))}
+
+          <div
+            style={{
+              borderTop: `1px solid ${COLORS.rule}`,
+              marginTop: 8,
+              paddingTop: 8,
+            }}
+          >
+            <div style={{ marginBottom: 6 }}>
+              Preview: {preview.length} students
+              {result.problems.length > 0 &&
+                ` · ${result.problems.length} rows skipped`}
+            </div>
+
+            {preview.slice(0, 6).map((d) => (
+              <div
+                key={d.id}
+                style={{
+                  textTransform: "none",
+                  letterSpacing: 0,
+                  marginBottom: 4,
+                  whiteSpace: "nowrap",
+                  overflow: "hidden",
+                  textOverflow: "ellipsis",
+                }}
+              >
+                {d.name} {d.year ? `(Y${d.year})` : ""} — {d.instruments.join(", ")}
+                {d.artists.length ? ` · ${d.artists.join(", ")}` : ""}
+              </div>
+            ))}
+            {preview.length > 6 && (
+              <div style={{ opacity: 0.6 }}>… and {preview.length - 6} more</div>
+            )}
+
+            {result.problems.length > 0 && (
+              <div style={{ marginTop: 8, color: COLORS.warn, textTransform: "none" }}>
+                {result.problems.map((p) => (
+                  <div key={p.line}>
+                    Row {p.line}
+                    {p.name ? ` (${p.name})` : ""}: {p.reason}
+                  </div>
+                ))}
+              </div>
+            )}
+
+            <div style={{ ...rowStyle, flexWrap: "wrap", marginTop: 10 }}>
+              <div style={{ opacity: 0.85 }}>Surveyed</div>
+              <input
+                type="date"
+                value={termDate}
+                onChange={(e) => setTermDate(e.target.value)}
+                aria-label="Survey date"
+                style={controlStyle}
+              />
+              <button
+                onClick={() => onLoad(result.records, termDate)}
+                disabled={!preview.length || !termDate}
+                title="Replace the roster with this survey, taken on the date shown"
+                style={buttonStyle}
+              >
+                Load into constellation
+              </button>
+              <div style={{ opacity: 0.6 }}>or</div>
+              <button
+                onClick={() => {
+                  onAddTerm({ date: termDate, records: result.records });
+                  setRows(null);
+                }}
+                disabled={!preview.length || !termDate}
+                title="Keep this survey as an earlier term; the roster is unchanged"
+                style={buttonStyle}
+              >
+                Add as past term
+              </button>
+            </div>
+          </div>
+        </>
+      )}
+
+      <div style={{ ...ruleStyle, marginTop: 10, paddingTop: 8 }}>
+        <div style={{ ...rowStyle, justifyContent: "space-between", marginBottom: 6 }}>
+          <div>Past terms (this browser)</div>
+          <button
+            onClick={onSnapshot}
+            disabled={!rosterDate}
+            title={
+              rosterDate
+                ? "Save the roster as a term before loading the next survey"
+                : "Set the date the roster was surveyed first"
+            }
+            style={buttonStyle}
+          >
+            Snapshot roster
+          </button>
+        </div>
+        <div style={{ ...rowStyle, textTransform: "none", letterSpacing: 0, marginBottom: 8 }}>
+          <div style={{ opacity: 0.85 }}>Current roster surveyed</div>
+          <input
+            type="date"
+            value={rosterDate ?? ""}
+            onChange={(e) => onRosterDate(e.target.value || null)}
+            aria-label="Current roster survey date"
+            style={controlStyle}
+          />
+          {!rosterDate && <div style={{ color: COLORS.warn }}>unknown</div>}
+        </div>
+        {terms.length === 0 ? (
+          <div style={{ opacity: 0.6, textTransform: "none" }}>
+            None yet. Snapshot the roster at the end of each term, or add an older
+            survey file, to compare terms.
+          </div>
+        ) : (
+          terms.map((t) => (
+            <div key={t.id} style={{ ...rowStyle, textTransform: "none", letterSpacing: 0 }}>
+              <div style={{ flex: 1 }}>
+                {t.label} <span style={{ opacity: 0.6 }}>· {t.date}</span>
+              </div>
+              <div style={{ opacity: 0.7 }}>{t.records.length} students</div>
+              <button
+                onClick={() => onRemoveTerm(t.id)}
+                aria-label={`Remove ${t.label}`}
+                style={buttonStyle}
+              >
+                ×
+              </button>
+            </div>
+          ))
+        )}
+      </div>
+    </div>
+  );
+}
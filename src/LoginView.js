@@ -0,0 +1,81 @@
+import React, { useState } from "react";
+import { isTeacherGateConfigured, signInTeacher } from "./auth";
+import { COLORS, pageStyle, controlStyle, buttonStyle } from "./ui";
+
+/* ---------- teacher sign-in (locked when the build has no password) ---------- */
+
+export default function LoginView({ onSignedIn }) {
+  const configured = isTeacherGateConfigured();
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setError("");
+    setBusy(true);
+    try {
+      if (await signInTeacher(password)) onSignedIn();
+      else setError("Wrong password.");
+    } catch (err) {
+      setError(err.message || String(err));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const inputStyle = {
+    ...controlStyle,
+    fontSize: 16,
+    padding: "10px 12px",
+    width: "100%",
+    boxSizing: "border-box",
+    marginBottom: 10,
+  };
+
+  return (
+    <div style={pageStyle}>
+      <form onSubmit={submit} style={{ maxWidth: 360, margin: "0 auto", padding: "64px 16px" }}>
+        <div style={{ fontSize: 20, fontWeight: 700, marginBottom: 8 }}>Music profiles</div>
+
+        {configured ? (
+          <>
+            <div style={{ opacity: 0.8, marginBottom: 20 }}>
+              Teachers: sign in to see the whole roster.
+            </div>
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              placeholder="Password"
+              autoComplete="current-password"
+              autoFocus
+              style={inputStyle}
+            />
+            {error && <div style={{ color: COLORS.danger, marginBottom: 10 }}>{error}</div>}
+            <button
+              type="submit"
+              disabled={busy}
+              style={{ ...buttonStyle, fontSize: 15, padding: "10px 14px" }}
+            >
+              Sign in
+            </button>
+          </>
+        ) : (
+          <div role="alert" style={{ color: COLORS.warn, textTransform: "none" }}>
+            The teacher view is locked: this site was built without a teacher password. Set
+            REACT_APP_TEACHER_PASSWORD_SHA256 to the SHA-256 hash of the password and rebuild.
+          </div>
+        )}
+
+        <div style={{ opacity: 0.6, marginTop: 32 }}>
+          Students: open the link your teacher gave you, or{" "}
+          <a href="/survey" style={{ color: "inherit" }}>
+            fill in the questionnaire
+          </a>
+          .
+        </div>
+      </form>
+    </div>
+  );
+}
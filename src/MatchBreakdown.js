@@ -0,0 +1,34 @@
+import React from "react";
+import { COLORS } from "./ui";
+
+/* ---------- why two students are connected ---------- */
+
+export default function MatchBreakdown({ reasons }) {
+  const total = reasons.reduce((t, r) => t + r.points, 0);
+
+  return (
+    <div
+      style={{
+        margin: "2px 0 10px 8px",
+        paddingLeft: 8,
+        borderLeft: `1px solid ${COLORS.line}`,
+      }}
+    >
+      {reasons.map((r) => (
+        <div key={r.key} style={{ marginBottom: 4, opacity: r.points ? 1 : 0.55 }}>
+          <div style={{ display: "flex", justifyContent: "space-between" }}>
+            <div style={{ opacity: 0.8 }}>{r.label}</div>
+            <div>
+              +{r.points}
+              {r.weight ? ` (${r.units}×${r.weight})` : " (not weighted)"}
+            </div>
+          </div>
+          <div style={{ textTransform: "none", letterSpacing: 0 }}>
+            {r.shared.join(", ")}
+          </div>
+        </div>
+      ))}
+      <div style={{ opacity: 0.8 }}>Total {total}</div>
+    </div>
+  );
+}
@@ -0,0 +1,25 @@
+import React from "react";
+import { COLORS } from "./ui";
+
+/* ---------- student-facing match list (questionnaire, student view) ---------- */
+
+export default function MatchCards({ matches, empty = "No matches yet." }) {
+  if (!matches.length) return <div style={{ opacity: 0.7 }}>{empty}</div>;
+  return matches.map(({ student, shared }) => (
+    <div
+      key={student.id}
+      style={{
+        border: `1px solid ${COLORS.line}`,
+        padding: "10px 12px",
+        marginBottom: 8,
+      }}
+    >
+      <div style={{ fontWeight: 700 }}>
+        {student.name} {student.year ? `(Y${student.year})` : ""}
+      </div>
+      {shared.length > 0 && (
+        <div style={{ opacity: 0.75, marginTop: 4 }}>You both: {shared.join(", ")}</div>
+      )}
+    </div>
+  ));
+}
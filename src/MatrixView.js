@@ -0,0 +1,123 @@
+import React, { useMemo } from "react";
+import { maxScore } from "./similarity";
+import { MONO } from "./ui";
+
+/* ---------- adjacency matrix / heatmap ---------- */
+
+// `scores` rows may be typed arrays. With cells={false} the heatmap itself
+// is drawn by CanvasLayer and only the active row's links are outlined here.
+export default function MatrixView({
+  matrix,
+  scores,
+  activeId,
+  linkIds,
+  onCell,
+  cells = true,
+  palette,
+}) {
+  const { x0, y0, cell, order } = matrix;
+  const n = order.length;
+  const max = useMemo(() => maxScore(scores), [scores]);
+  const ai = order.findIndex((d) => d.id === activeId);
+  const showLabels = cell >= 9;
+
+  return (
+    <g>
+      {cells &&
+        scores.map((row, i) =>
+          Array.from(row, (s, j) =>
+            s > 0 ? (
+              <rect
+                key={`${i}-${j}`}
+                x={x0 + j * cell}
+                y={y0 + i * cell}
+                width={cell}
+                height={cell}
+                fill={palette.accent}
+                fillOpacity={0.08 + (s / max) * 0.82}
+                stroke={i === ai && linkIds.has(order[j].id) ? palette.focus : "none"}
+                strokeWidth={1.5}
+                onPointerDown={() => onCell(order[i], order[j])}
+                style={{ cursor: "pointer" }}
+              />
+            ) : null
+          )
+        )}
+
+      {!cells &&
+        ai >= 0 &&
+        order.map((d, j) =>
+          linkIds.has(d.id) ? (
+            <rect
+              key={`link-${d.id}`}
+              x={x0 + j * cell}
+              y={y0 + ai * cell}
+              width={cell}
+              height={cell}
+              fill="none"
+              stroke={palette.focus}
+              strokeWidth={1.5}
+              pointerEvents="none"
+            />
+          ) : null
+        )}
+
+      {/* active row + column */}
+      {ai >= 0 && (
+        <>
+          <rect
+            x={x0}
+            y={y0 + ai * cell}
+            width={n * cell}
+            height={cell}
+            fill="none"
+            stroke={palette.link}
+            strokeOpacity={0.6}
+            pointerEvents="none"
+          />
+          <rect
+            x={x0 + ai * cell}
+            y={y0}
+            width={cell}
+            height={n * cell}
+            fill="none"
+            stroke={palette.link}
+            strokeOpacity={0.6}
+            pointerEvents="none"
+          />
+        </>
+      )}
+
+      <rect
+        x={x0}
+        y={y0}
+        width={n * cell}
+        height={n * cell}
+        fill="none"
+        stroke={palette.line}
+        pointerEvents="none"
+      />
+
+      {showLabels &&
+        order.map((d, i) => (
+          <text
+            key={`row-${d.id}`}
+            x={x0 - 6}
+            y={y0 + (i + 0.5) * cell}
+            textAnchor="end"
+            dominantBaseline="middle"
+            onPointerDown={() => onCell(d, null)}
+            style={{
+              fill: d.id === activeId ? palette.accent : palette.accentSoft,
+              fontFamily: MONO,
+              fontSize: Math.min(11, cell * 0.8),
+              cursor: "pointer",
+              userSelect: "none",
+            }}
+          >
+            {d.name}
+          </text>
+        ))}
+    </g>
+  );
+}
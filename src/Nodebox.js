@@ -0,0 +1,184 @@
+import React from "react";
+import { hashSeed, mulberry32 } from "./layouts";
+import { COLORS } from "./ui";
+
+/* =========================================================
+   NODEBOX ENERGY (visual theme pieces)
+   - SVG defs: soft glow, pulse glow, animated turbulence
+     "water" and the sheen it distorts
+   - Backdrop: the undulating overlay (screen space)
+   - Seeded organic blob per student
+   - Curved energy link with a travelling pulse
+   - Energy bars (no numbers) for the connections panel
+   Animations stop when reduced motion is on.
+   ========================================================= */
+
+export function NodeboxDefs({ animate = true }) {
+  return (
+    <defs>
+      <filter id="softGlow" x="-60%" y="-60%" width="220%" height="220%">
+        <feGaussianBlur stdDeviation="2.2" result="blur" />
+        <feMerge>
+          <feMergeNode in="blur" />
+          <feMergeNode in="SourceGraphic" />
+        </feMerge>
+      </filter>
+
+      <filter id="pulseGlow" x="-80%" y="-80%" width="260%" height="260%">
+        <feGaussianBlur stdDeviation="1.6" result="pblur" />
+        <feMerge>
+          <feMergeNode in="pblur" />
+          <feMergeNode in="SourceGraphic" />
+        </feMerge>
+      </filter>
+
+      <filter id="water">
+        <feTurbulence
+          type="fractalNoise"
+          baseFrequency="0.010 0.018"
+          numOctaves="2"
+          seed="8"
+          result="noise"
+        >
+          {animate && (
+            <>
+              <animate
+                attributeName="baseFrequency"
+                dur="8s"
+                values="0.010 0.018;0.014 0.012;0.010 0.018"
+                repeatCount="indefinite"
+              />
+              <animate attributeName="seed" dur="10s" values="8;12;8" repeatCount="indefinite" />
+            </>
+          )}
+        </feTurbulence>
+        <feDisplacementMap
+          in="SourceGraphic"
+          in2="noise"
+          scale="22"
+          xChannelSelector="R"
+          yChannelSelector="G"
+        />
+      </filter>
+
+      <radialGradient id="sheen" cx="50%" cy="50%" r="70%">
+        <stop offset="0%" stopColor="rgba(255,255,255,0.06)" />
+        <stop offset="55%" stopColor="rgba(255,255,255,0.03)" />
+        <stop offset="100%" stopColor="rgba(255,255,255,0)" />
+      </radialGradient>
+    </defs>
+  );
+}
+
+export function NodeboxBackdrop() {
+  return (
+    <g filter="url(#water)" opacity="0.9" pointerEvents="none" style={{ mixBlendMode: "screen" }}>
+      <rect x="-15%" y="-15%" width="130%" height="130%" fill="url(#sheen)" />
+    </g>
+  );
+}
+
+/* ---------- organic dot shape ---------- */
+
+function jitteredBlobPath(cx, cy, r, seed, points, jitter) {
+  const rnd = mulberry32(seed);
+  const a0 = rnd() * Math.PI * 2;
+  const step = (Math.PI * 2) / points;
+
+  const pts = Array.from({ length: points }, (_, i) => {
+    const a = a0 + i * step;
+    const k = 1 + (rnd() * 2 - 1) * jitter;
+    return { x: cx + Math.cos(a) * r * k, y: cy + Math.sin(a) * r * k };
+  });
+
+  const mid = (p, q) => ({ x: (p.x + q.x) / 2, y: (p.y + q.y) / 2 });
+  const m0 = mid(pts[0], pts[1]);
+
+  let d = `M ${m0.x} ${m0.y}`;
+  for (let i = 1; i < pts.length; i++) {
+    const p = pts[i];
+    const m = mid(p, pts[(i + 1) % pts.length]);
+    d += ` Q ${p.x} ${p.y} ${m.x} ${m.y}`;
+  }
+  return `${d} Z`;
+}
+
+// Blob outline for a student at (x, y). Half the students are drawn a
+// little bigger (by id), as in the original nodebox.
+export function blobPath(id, x, y, r) {
+  const seed = hashSeed(String(id));
+  const rnd = mulberry32(seed);
+  const points = 10 + Math.floor(rnd() * 3);
+  const jitter = 0.18 + rnd() * 0.18;
+  const size = r * (seed % 2 === 0 ? 0.9 : 0.7) * (0.98 + rnd() * 0.08);
+  return jitteredBlobPath(x, y, size, seed + 77, points, jitter);
+}
+
+/* ---------- energy link ---------- */
+
+export function energyPath(a, b, bend = 0.18) {
+  const qx = (a.x + b.x) / 2 + (a.y - b.y) * bend;
+  const qy = (a.y + b.y) / 2 + (b.x - a.x) * bend;
+  return `M ${a.x} ${a.y} Q ${qx} ${qy} ${b.x} ${b.y}`;
+}
+
+export function EnergyLink({ id, from, to, index, color, width, opacity, dash, animate }) {
+  return (
+    <>
+      <path
+        id={id}
+        d={energyPath(from, to)}
+        fill="none"
+        stroke={color}
+        strokeWidth={width}
+        strokeDasharray={dash}
+        opacity={opacity}
+      />
+      {animate && (
+        <circle r={2.4} fill={color} filter="url(#pulseGlow)">
+          <animate
+            attributeName="opacity"
+            values="0.2;0.9;0.2"
+            dur="1.6s"
+            repeatCount="indefinite"
+            begin={`${index * 0.12}s`}
+          />
+          <animateMotion
+            dur={`${1.6 + index * 0.18}s`}
+            repeatCount="indefinite"
+            begin={`${index * 0.12}s`}
+            rotate="auto"
+          >
+            <mpath href={`#${id}`} />
+          </animateMotion>
+        </circle>
+      )}
+    </>
+  );
+}
+
+/* ---------- energy bars (no numbers) ---------- */
+
+export function EnergyBars({ value01, max = 5 }) {
+  const level = Math.max(1, Math.min(max, Math.round(1 + (value01 ?? 0) * (max - 1))));
+  return (
+    <div
+      role="img"
+      aria-label={`${level} of ${max}`}
+      style={{ display: "flex", gap: 3, alignItems: "flex-end" }}
+    >
+      {Array.from({ length: max }, (_, i) => (
+        <div
+          key={i}
+          style={{
+            width: 6,
+            height: 8 + i * 2,
+            borderRadius: 2,
+            background: COLORS.link,
+            opacity: i < level ? 0.95 : 0.16,
+          }}
+        />
+      ))}
+    </div>
+  );
+}
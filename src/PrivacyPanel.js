@@ -0,0 +1,95 @@
+import React from "react";
+import Chip from "./Chip";
+import { CONSENT_MODES, HIDEABLE_FIELDS, NAME_MODES, PRIVACY_DEFAULTS } from "./privacy";
+import { panelStyle, buttonStyle } from "./ui";
+
+/* ---------- privacy settings ---------- */
+
+export default function PrivacyPanel({ privacy, onChange, counts, onClose }) {
+  const set = (patch) => onChange({ ...privacy, ...patch });
+  const toggleHidden = (key) =>
+    set({
+      hidden: privacy.hidden.includes(key)
+        ? privacy.hidden.filter((k) => k !== key)
+        : [...privacy.hidden, key],
+    });
+
+  const rowStyle = { display: "flex", gap: 4, flexWrap: "wrap", marginBottom: 10 };
+  const label = (text) => <div style={{ opacity: 0.85, marginBottom: 4 }}>{text}</div>;
+
+  return (
+    <div
+      style={{
+        ...panelStyle,
+        top: 64,
+        left: "50%",
+        transform: "translateX(-50%)",
+        width: 380,
+      }}
+    >
+      <div
+        style={{
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "center",
+          marginBottom: 8,
+        }}
+      >
+        <div style={{ fontSize: 14, fontWeight: 700 }}>Privacy</div>
+        <button onClick={onClose} style={buttonStyle}>
+          ×
+        </button>
+      </div>
+
+      <div style={{ opacity: 0.75, marginBottom: 10, textTransform: "none" }}>
+        Applies to the map, search and exports on this device; data.json keeps the real
+        roster. Student links and the questionnaire always use the school's student rules
+        (and these, where stricter).
+      </div>
+
+      {label("Show students as")}
+      <div style={rowStyle}>
+        {NAME_MODES.map((m) => (
+          <Chip
+            key={m.id}
+            label={m.label}
+            on={privacy.names === m.id}
+            onClick={() => set({ names: m.id })}
+          />
+        ))}
+      </div>
+
+      {label("Hide fields")}
+      <div style={rowStyle}>
+        {HIDEABLE_FIELDS.map((f) => (
+          <Chip
+            key={f.key}
+            label={f.label}
+            on={privacy.hidden.includes(f.key)}
+            onClick={() => toggleHidden(f.key)}
+          />
+        ))}
+      </div>
+
+      {label("Consent")}
+      <div style={rowStyle}>
+        {CONSENT_MODES.map((m) => (
+          <Chip
+            key={m.id}
+            label={m.label}
+            on={privacy.consent === m.id}
+            onClick={() => set({ consent: m.id })}
+          />
+        ))}
+      </div>
+      <div style={{ opacity: 0.75, marginBottom: 10, textTransform: "none" }}>
+        {counts.yes} consented · {counts.no} refused · {counts.unknown} not asked
+        {counts.shown < counts.total && ` — showing ${counts.shown} of ${counts.total}`}
+      </div>
+
+      <button onClick={() => onChange(PRIVACY_DEFAULTS)} style={buttonStyle}>
+        Reset
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,250 @@
+import React, { useState } from "react";
+import Chip from "./Chip";
+import { consentFlag, toArrayLoose, yearToNumber } from "./dataset";
+import { COLLAB_OPTIONS, toRecord, validateRecord } from "./roster";
+import { COLORS, panelStyle, controlStyle, buttonStyle } from "./ui";
+
+/* ---------- profile editor (add / edit / delete) ---------- */
+
+const CHIP_FIELDS = [
+  { key: "instruments", label: "Instruments" },
+  { key: "roles", label: "Roles" },
+  { key: "genres", label: "Genres" },
+];
+
+function toForm(rec) {
+  return {
+    name: rec.name ?? "",
+    year: rec.year == null ? "" : String(rec.year),
+    collab: rec.collab ?? "",
+    instruments: toArrayLoose(rec.instruments).map((v) => v.toLowerCase()),
+    // older exports say "role"
+    roles: toArrayLoose(rec.roles ?? rec.role).map((v) => v.toLowerCase()),
+    genres: toArrayLoose(rec.genres).map((v) => v.toLowerCase()),
+    artists: String(rec.artists ?? "")
+      .split(/[,;\n]/)
+      .map((s) => s.trim())
+      .filter(Boolean),
+    geek: toArrayLoose(rec.geek).join(", "),
+    consent: { true: "yes", false: "no" }[consentFlag(rec.consent)] ?? "",
+  };
+}
+
+export default function ProfileEditor({ record, isNew, records, vocab, onSave, onDelete, onCancel }) {
+  const [form, setForm] = useState(() => toForm(record));
+  const [artistDraft, setArtistDraft] = useState("");
+  const [touched, setTouched] = useState(false);
+
+  // fields the editor doesn't know about are kept; "role" is saved as "roles"
+  // and consent always comes from the form
+  const { role, consent, ...kept } = record;
+  const candidate = {
+    ...kept,
+    ...toRecord(record.id, { ...form, geek: toArrayLoose(form.geek) }),
+  };
+  const errors = validateRecord(candidate, records);
+  const valid = Object.keys(errors).length === 0;
+  const parsedYear = yearToNumber(form.year);
+
+  const set = (key, value) => setForm((f) => ({ ...f, [key]: value }));
+  const toggle = (key, v) =>
+    setForm((f) => ({
+      ...f,
+      [key]: f[key].includes(v) ? f[key].filter((x) => x !== v) : [...f[key], v],
+    }));
+
+  const addArtist = () => {
+    const a = artistDraft.trim();
+    if (!a) return;
+    if (!form.artists.some((x) => x.toLowerCase() === a.toLowerCase())) {
+      set("artists", [...form.artists, a]);
+    }
+    setArtistDraft("");
+  };
+
+  const submit = (e) => {
+    e.preventDefault();
+    setTouched(true);
+    if (valid) onSave(candidate);
+  };
+
+  const label = (text) => <div style={{ opacity: 0.8, marginBottom: 2 }}>{text}</div>;
+  const error = (key) =>
+    touched && errors[key] ? (
+      <div style={{ color: COLORS.danger, textTransform: "none", marginTop: 2 }}>
+        {errors[key]}
+      </div>
+    ) : null;
+  const fieldStyle = { marginBottom: 10 };
+  const inputStyle = { ...controlStyle, width: "100%", boxSizing: "border-box" };
+
+  return (
+    <form
+      onSubmit={submit}
+      style={{
+        ...panelStyle,
+        bottom: 12,
+        right: 12,
+        width: 320,
+        maxHeight: "calc(100vh - 90px)",
+        overflowY: "auto",
+      }}
+    >
+      <div
+        style={{
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "center",
+          marginBottom: 10,
+        }}
+      >
+        <div style={{ fontSize: 14, fontWeight: 700 }}>
+          {isNew ? "New student" : "Edit profile"}
+        </div>
+        <button type="button" onClick={onCancel} style={buttonStyle}>
+          ×
+        </button>
+      </div>
+
+      <div style={fieldStyle}>
+        {label("Name")}
+        <input
+          value={form.name}
+          onChange={(e) => set("name", e.target.value)}
+          style={{ ...inputStyle, textTransform: "none" }}
+          autoFocus
+        />
+        {error("name")}
+      </div>
+
+      <div style={{ ...fieldStyle, display: "flex", gap: 8 }}>
+        <div style={{ flex: 1 }}>
+          {label("Year")}
+          <input
+            value={form.year}
+            onChange={(e) => set("year", e.target.value)}
+            placeholder="year 9"
+            style={{ ...inputStyle, textTransform: "none" }}
+          />
+          {error("year")}
+          {!errors.year && parsedYear != null && String(parsedYear) !== form.year.trim() && (
+            <div style={{ opacity: 0.6, marginTop: 2 }}>→ Y{parsedYear}</div>
+          )}
+        </div>
+        <div style={{ flex: 1 }}>
+          {label("Collab")}
+          <select
+            value={form.collab}
+            onChange={(e) => set("collab", e.target.value)}
+            style={inputStyle}
+          >
+            <option value="">(not asked)</option>
+            {COLLAB_OPTIONS.map((c) => (
+              <option key={c} value={c}>
+                {c}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div style={fieldStyle}>
+        {label("Consent to be shown")}
+        <select
+          value={form.consent}
+          onChange={(e) => set("consent", e.target.value)}
+          style={inputStyle}
+        >
+          <option value="">(not asked)</option>
+          <option value="yes">yes</option>
+          <option value="no">no</option>
+        </select>
+      </div>
+
+      {CHIP_FIELDS.map(({ key, label: text }) => (
+        <div key={key} style={fieldStyle}>
+          {label(text)}
+          <div style={{ display: "flex", flexWrap: "wrap", gap: 4 }}>
+            {vocab[key].map((v) => (
+              <Chip key={v} label={v} on={form[key].includes(v)} onClick={() => toggle(key, v)} />
+            ))}
+          </div>
+        </div>
+      ))}
+
+      <div style={fieldStyle}>
+        {label("Artists")}
+        {form.artists.length > 0 && (
+          <div style={{ display: "flex", flexWrap: "wrap", gap: 4, marginBottom: 4 }}>
+            {form.artists.map((a) => (
+              <Chip
+                key={a}
+                on
+                label={`${a} ×`}
+                onClick={() => set("artists", form.artists.filter((x) => x !== a))}
+              />
+            ))}
+          </div>
+        )}
+        <div style={{ display: "flex", gap: 4 }}>
+          <input
+            value={artistDraft}
+            list="profile-editor-artists"
+            onChange={(e) => setArtistDraft(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === "Enter") {
+                e.preventDefault();
+                addArtist();
+              }
+            }}
+            placeholder="Type an artist…"
+            style={{ ...inputStyle, textTransform: "none" }}
+          />
+          <button type="button" onClick={addArtist} style={buttonStyle}>
+            Add
+          </button>
+        </div>
+        <datalist id="profile-editor-artists">
+          {vocab.artists.map((a) => (
+            <option key={a} value={a} />
+          ))}
+        </datalist>
+      </div>
+
+      <div style={fieldStyle}>
+        {label("Geek (comma separated)")}
+        <input
+          value={form.geek}
+          list="profile-editor-geek"
+          onChange={(e) => set("geek", e.target.value)}
+          style={{ ...inputStyle, textTransform: "none" }}
+        />
+        <datalist id="profile-editor-geek">
+          {vocab.geek.map((g) => (
+            <option key={g} value={g} />
+          ))}
+        </datalist>
+      </div>
+
+      <div style={{ display: "flex", gap: 8, justifyContent: "space-between" }}>
+        <button
+          type="submit"
+          style={{ ...buttonStyle, opacity: valid || !touched ? 1 : 0.5 }}
+        >
+          {isNew ? "Add student" : "Save"}
+        </button>
+        {!isNew && (
+          <button
+            type="button"
+            onClick={() => {
+              if (window.confirm(`Delete ${record.name}'s profile?`)) onDelete(record.id);
+            }}
+            style={{ ...buttonStyle, color: COLORS.danger }}
+          >
+            Delete
+          </button>
+        )}
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,302 @@
+import React, { useMemo, useState } from "react";
+import datasetRaw from "./data.json";
+import Chip from "./Chip";
+import { downloadBlob } from "./exporters";
+import { normalizeDataset } from "./dataset";
+import { applyPrivacy, useStudentPrivacy } from "./privacy";
+import MatchCards from "./MatchCards";
+import { BUILTIN_MODES, recommend } from "./similarity";
+import {
+  COLLAB_OPTIONS,
+  submissionText,
+  toRecord,
+  usePendingProfiles,
+  useRoster,
+  useVocabulary,
+  validateRecord,
+} from "./roster";
+import { COLORS, pageStyle, controlStyle, buttonStyle } from "./ui";
+
+/* =========================================================
+   STUDENT QUESTIONNAIRE (/survey)
+   - One question per screen, big touch targets (phones)
+   - Produces a data.json-shaped record via toRecord
+   - Shows the student their top matches straight away
+     (ideal-band weights against the approved roster)
+   - Queues the profile; staff approve it in the constellation.
+     On a student's own phone the queue never reaches staff,
+     so the thanks screen offers the answers as a file / text
+     to send to the teacher (Queue -> Add submissions)
+   - Matches follow the student privacy rules (privacy.js)
+   ========================================================= */
+
+const YEARS = [7, 8, 9, 10, 11, 12, 13];
+const MATCH_WEIGHTS = BUILTIN_MODES.find((m) => m.id === "band").weights;
+
+const EMPTY = {
+  name: "",
+  year: "",
+  instruments: [],
+  genres: [],
+  artists: [],
+  roles: [],
+  geek: [],
+  collab: "",
+  consent: "",
+};
+
+const STEPS = [
+  { key: "name", title: "What's your name?" },
+  { key: "instruments", title: "What do you play or sing?", hint: "Pick all that apply" },
+  { key: "genres", title: "What kind of music do you like?", hint: "Pick all that apply" },
+  { key: "artists", title: "Favourite artists?", hint: "Add as many as you like" },
+  { key: "roles", title: "What do you like doing in a band?" },
+  { key: "geek", title: "What else are you into?", hint: "Pick all that apply" },
+  { key: "collab", title: "Up for making music with others?" },
+  { key: "consent", title: "Can classmates see your profile on the map?" },
+];
+
+const bigChip = { fontSize: 15, padding: "10px 14px" };
+
+export default function Questionnaire() {
+  const roster = useRoster(datasetRaw);
+  const vocab = useVocabulary(roster.records);
+  const { submit } = usePendingProfiles();
+  const privacy = useStudentPrivacy();
+
+  const [step, setStep] = useState(0);
+  const [answers, setAnswers] = useState(EMPTY);
+  const [artistDraft, setArtistDraft] = useState("");
+  const [submitted, setSubmitted] = useState(null); // pending record
+  const [copied, setCopied] = useState(false);
+
+  const set = (key, value) => setAnswers((a) => ({ ...a, [key]: value }));
+  const toggle = (key, v) =>
+    setAnswers((a) => ({
+      ...a,
+      [key]: a[key].includes(v) ? a[key].filter((x) => x !== v) : [...a[key], v],
+    }));
+
+  const record = toRecord("new", answers);
+  const errors = validateRecord(record, roster.records);
+  const current = STEPS[step];
+  const canContinue = current.key !== "name" || (!errors.name && !errors.year);
+
+  const addArtist = () => {
+    const a = artistDraft.trim();
+    if (a && !answers.artists.some((x) => x.toLowerCase() === a.toLowerCase())) {
+      set("artists", [...answers.artists, a]);
+    }
+    setArtistDraft("");
+  };
+
+  const finish = () => {
+    setSubmitted(submit(record));
+    setCopied(false);
+  };
+
+  const saveForTeacher = () =>
+    downloadBlob(
+      new Blob([submissionText([submitted])], { type: "application/json" }),
+      `survey-${submitted.name.toLowerCase().replace(/[^a-z0-9]+/g, "-")}.json`
+    );
+
+  const copyForTeacher = async () => {
+    try {
+      await navigator.clipboard.writeText(submissionText([submitted]));
+      setCopied(true);
+    } catch {
+      window.prompt("Copy this and send it to your teacher:", submissionText([submitted]));
+    }
+  };
+
+  const matches = useMemo(() => {
+    if (!submitted) return [];
+    const nodes = normalizeDataset([...roster.records, submitted]);
+    const me = nodes[nodes.length - 1];
+    // other students are shown under the student privacy rules
+    const others = applyPrivacy(nodes.slice(0, -1), privacy);
+    return recommend(me, others, MATCH_WEIGHTS, 5);
+  }, [submitted, roster.records, privacy]);
+
+  const inputStyle = {
+    ...controlStyle,
+    fontSize: 16, // below 16px iOS zooms the page on focus
+    padding: "10px 12px",
+    width: "100%",
+    boxSizing: "border-box",
+  };
+
+  const chips = (key, values) => (
+    <div style={{ display: "flex", flexWrap: "wrap", gap: 8 }}>
+      {values.map((v) => (
+        <Chip
+          key={v}
+          label={v}
+          on={Array.isArray(answers[key]) ? answers[key].includes(v) : answers[key] === v}
+          onClick={() => (Array.isArray(answers[key]) ? toggle(key, v) : set(key, v))}
+          style={bigChip}
+        />
+      ))}
+    </div>
+  );
+
+  const body = () => {
+    switch (current.key) {
+      case "name":
+        return (
+          <>
+            <input
+              value={answers.name}
+              onChange={(e) => set("name", e.target.value)}
+              placeholder="First name"
+              autoComplete="given-name"
+              style={{ ...inputStyle, marginBottom: 8 }}
+            />
+            {answers.name.trim() && errors.name && (
+              <div style={{ color: COLORS.danger, marginBottom: 8 }}>{errors.name}</div>
+            )}
+            <div style={{ opacity: 0.8, margin: "16px 0 8px" }}>Which year are you in?</div>
+            <div style={{ display: "flex", flexWrap: "wrap", gap: 8 }}>
+              {YEARS.map((y) => (
+                <Chip
+                  key={y}
+                  label={`Y${y}`}
+                  on={answers.year === `year ${y}`}
+                  onClick={() => set("year", `year ${y}`)}
+                  style={bigChip}
+                />
+              ))}
+            </div>
+          </>
+        );
+      case "artists":
+        return (
+          <>
+            <div style={{ display: "flex", gap: 8, marginBottom: 12 }}>
+              <input
+                value={artistDraft}
+                list="questionnaire-artists"
+                onChange={(e) => setArtistDraft(e.target.value)}
+                onKeyDown={(e) => e.key === "Enter" && addArtist()}
+                placeholder="Type an artist…"
+                style={inputStyle}
+              />
+              <button onClick={addArtist} style={{ ...buttonStyle, ...bigChip }}>
+                Add
+              </button>
+            </div>
+            <datalist id="questionnaire-artists">
+              {vocab.artists.map((a) => (
+                <option key={a} value={a} />
+              ))}
+            </datalist>
+            <div style={{ display: "flex", flexWrap: "wrap", gap: 8 }}>
+              {answers.artists.map((a) => (
+                <Chip
+                  key={a}
+                  on
+                  label={`${a} ×`}
+                  onClick={() => set("artists", answers.artists.filter((x) => x !== a))}
+                  style={bigChip}
+                />
+              ))}
+            </div>
+          </>
+        );
+      case "collab":
+        return chips("collab", COLLAB_OPTIONS);
+      case "consent":
+        return chips("consent", ["yes", "no"]);
+      default:
+        return chips(current.key, vocab[current.key]);
+    }
+  };
+
+  return (
+    <div style={pageStyle}>
+      <div style={{ maxWidth: 520, margin: "0 auto", padding: "24px 16px 96px" }}>
+        {submitted ? (
+          <>
+            <div style={{ fontSize: 20, fontWeight: 700, marginBottom: 8 }}>
+              Thanks, {submitted.name}!
+            </div>
+            <div style={{ opacity: 0.8, marginBottom: 20 }}>
+              Your teacher will check your answers before you appear on the map. People you
+              might make music with:
+            </div>
+            <MatchCards matches={matches} />
+            <div style={{ opacity: 0.8, margin: "20px 0 8px" }}>
+              Using your own phone? Send your answers to your teacher:
+            </div>
+            <div style={{ display: "flex", flexWrap: "wrap", gap: 8 }}>
+              <button onClick={saveForTeacher} style={{ ...buttonStyle, ...bigChip }}>
+                Save file
+              </button>
+              <button onClick={copyForTeacher} style={{ ...buttonStyle, ...bigChip }}>
+                {copied ? "Copied" : "Copy text"}
+              </button>
+            </div>
+            <button
+              onClick={() => {
+                setAnswers(EMPTY);
+                setStep(0);
+                setSubmitted(null);
+              }}
+              style={{ ...buttonStyle, ...bigChip, marginTop: 16 }}
+            >
+              Next student
+            </button>
+          </>
+        ) : (
+          <>
+            <div style={{ opacity: 0.6, marginBottom: 8 }}>
+              {step + 1} / {STEPS.length}
+            </div>
+            <div style={{ fontSize: 20, fontWeight: 700, marginBottom: 4 }}>{current.title}</div>
+            {current.hint && <div style={{ opacity: 0.7, marginBottom: 16 }}>{current.hint}</div>}
+            <div style={{ marginTop: 12 }}>{body()}</div>
+          </>
+        )}
+      </div>
+
+      {!submitted && (
+        <div
+          style={{
+            position: "fixed",
+            left: 0,
+            right: 0,
+            bottom: 0,
+            display: "flex",
+            justifyContent: "space-between",
+            gap: 8,
+            padding: 12,
+            background: COLORS.panel,
+            borderTop: `1px solid ${COLORS.line}`,
+          }}
+        >
+          <button
+            onClick={() => setStep((s) => s - 1)}
+            disabled={step === 0}
+            style={{ ...buttonStyle, ...bigChip, opacity: step === 0 ? 0.3 : 1 }}
+          >
+            Back
+          </button>
+          {step < STEPS.length - 1 ? (
+            <button
+              onClick={() => setStep((s) => s + 1)}
+              disabled={!canContinue}
+              style={{ ...buttonStyle, ...bigChip, opacity: canContinue ? 1 : 0.3 }}
+            >
+              Next
+            </button>
+          ) : (
+            <button onClick={finish} style={{ ...buttonStyle, ...bigChip }}>
+              Send
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
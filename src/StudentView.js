@@ -0,0 +1,98 @@
+import React, { useEffect, useMemo, useState } from "react";
+import datasetRaw from "./data.json";
+import { verifyStudentToken } from "./auth";
+import { normalizeDataset } from "./dataset";
+import { buildHistory, personTimeline, useTerms } from "./history";
+import MatchCards from "./MatchCards";
+import { applyPrivacy, useStudentPrivacy } from "./privacy";
+import { useRoster } from "./roster";
+import { BUILTIN_MODES, recommend } from "./similarity";
+import TasteTimeline from "./TasteTimeline";
+import { pageStyle } from "./ui";
+
+/* =========================================================
+   STUDENT VIEW (/student/<id>/<token>)
+   - Only the signed-in student's own profile
+   - Their recommended collaborators (ideal-band weights),
+     other students shown under the student privacy rules
+   - How their answers changed, when this device has past terms
+   ========================================================= */
+
+const MATCH_WEIGHTS = BUILTIN_MODES.find((m) => m.id === "band").weights;
+
+export default function StudentView({ id, token }) {
+  const roster = useRoster(datasetRaw);
+  const terms = useTerms();
+  const privacy = useStudentPrivacy();
+  const [status, setStatus] = useState("checking"); // checking | ok | denied
+
+  useEffect(() => {
+    let cancelled = false;
+    verifyStudentToken(id, token)
+      .then((ok) => !cancelled && setStatus(ok ? "ok" : "denied"))
+      .catch(() => !cancelled && setStatus("denied"));
+    return () => {
+      cancelled = true;
+    };
+  }, [id, token]);
+
+  const nodes = useMemo(() => normalizeDataset(roster.records), [roster.records]);
+  const me = nodes.find((d) => d.id === id) ?? null;
+  const timeline = useMemo(
+    () =>
+      me
+        ? personTimeline(buildHistory(terms.terms, nodes, { date: roster.surveyDate }), me.id)
+        : [],
+    [me, nodes, terms.terms, roster.surveyDate]
+  );
+
+  const matches = useMemo(() => {
+    if (!me || status !== "ok") return [];
+    const others = applyPrivacy(
+      nodes.filter((d) => d.id !== me.id),
+      privacy
+    );
+    return recommend(me, others, MATCH_WEIGHTS, 8);
+  }, [me, nodes, privacy, status]);
+
+  const line = (label, arr) =>
+    arr?.length ? (
+      <div style={{ marginBottom: 10 }}>
+        <div style={{ opacity: 0.7, marginBottom: 2 }}>{label}</div>
+        <div>{arr.join(", ")}</div>
+      </div>
+    ) : null;
+
+  let body;
+  if (status === "checking") {
+    body = <div style={{ opacity: 0.7 }}>Checking your link…</div>;
+  } else if (status === "denied" || !me) {
+    body = <div>This link doesn't work. Ask your teacher for a new one.</div>;
+  } else {
+    body = (
+      <>
+        <div style={{ fontSize: 20, fontWeight: 700, marginBottom: 16 }}>
+          {me.name} {me.year ? `(Y${me.year})` : ""}
+        </div>
+        {line("Instruments", me.instruments)}
+        {line("Genres", me.genres)}
+        {line("Artists", me.artists)}
+        {line("Roles", me.roles)}
+        {line("Geek", me.geek)}
+        {me.collab && line("Up for collaborating", [me.collab])}
+        <TasteTimeline entries={timeline} title="How your taste has changed" />
+
+        <div style={{ fontSize: 16, fontWeight: 700, margin: "24px 0 10px" }}>
+          People you might make music with
+        </div>
+        <MatchCards matches={matches} />
+      </>
+    );
+  }
+
+  return (
+    <div style={pageStyle}>
+      <div style={{ maxWidth: 520, margin: "0 auto", padding: "24px 16px 48px" }}>{body}</div>
+    </div>
+  );
+}
@@ -0,0 +1,55 @@
+import React from "react";
+import { isEmptyDiff } from "./history";
+import { COLORS, ruleStyle } from "./ui";
+
+/* ---------- taste timeline: what changed term to term ---------- */
+
+const COLLAB_WORDS = { yes: "yes", maybe: "maybe", no: "not right now", unknown: "not said" };
+
+function Change({ sign, values }) {
+  if (!values.length) return null;
+  return (
+    <span style={{ color: sign === "+" ? COLORS.accent : COLORS.warn }}>
+      {sign} {values.join(", ")}{" "}
+    </span>
+  );
+}
+
+// entries: personTimeline(...) -- oldest first, the first has no diff
+export default function TasteTimeline({ entries, title = "Over time" }) {
+  if (entries.length < 2) return null;
+  return (
+    <div style={{ ...ruleStyle, marginTop: 10, paddingTop: 8 }}>
+      <div style={{ opacity: 0.8, marginBottom: 6 }}>{title}</div>
+      {entries.map(({ term, node, diff }) => (
+        <div key={term.id} style={{ marginBottom: 6, textTransform: "none", letterSpacing: 0 }}>
+          <div style={{ fontWeight: 700 }}>
+            {term.label}
+            {node.year != null ? ` · Y${node.year}` : ""}
+          </div>
+          {!diff ? (
+            <div style={{ opacity: 0.7 }}>First survey</div>
+          ) : isEmptyDiff(diff) ? (
+            <div style={{ opacity: 0.7 }}>No change</div>
+          ) : (
+            <>
+              {diff.fields.map((f) => (
+                <div key={f.key}>
+                  <span style={{ opacity: 0.7 }}>{f.label}: </span>
+                  <Change sign="+" values={f.added} />
+                  <Change sign="−" values={f.removed} />
+                </div>
+              ))}
+              {diff.collab && (
+                <div>
+                  <span style={{ opacity: 0.7 }}>Collab: </span>
+                  {COLLAB_WORDS[diff.collab[0]]} → {COLLAB_WORDS[diff.collab[1]]}
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
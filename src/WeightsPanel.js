@@ -0,0 +1,82 @@
+import React from "react";
+import { SCORE_FIELDS } from "./similarity";
+import { panelStyle, controlStyle, buttonStyle } from "./ui";
+
+/* ---------- connection weights editor ---------- */
+
+export default function WeightsPanel({
+  mode,
+  onNew,
+  onChange,
+  onDelete,
+  onClose,
+}) {
+  const setWeight = (key, value) =>
+    onChange({ weights: { ...mode.weights, [key]: value } });
+
+  return (
+    <div style={{ ...panelStyle, top: 64, right: 12, width: 280 }}>
+      <div
+        style={{
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "center",
+          marginBottom: 8,
+        }}
+      >
+        <div style={{ fontSize: 14, fontWeight: 700 }}>Weights</div>
+        <button onClick={onClose} style={buttonStyle}>
+          ×
+        </button>
+      </div>
+
+      {mode.builtin ? (
+        <div style={{ marginBottom: 8, opacity: 0.85 }}>{mode.label}</div>
+      ) : (
+        <input
+          value={mode.label}
+          onChange={(e) => onChange({ label: e.target.value })}
+          style={{
+            ...controlStyle,
+            width: "100%",
+            boxSizing: "border-box",
+            marginBottom: 8,
+            textTransform: "none",
+            letterSpacing: 0,
+          }}
+        />
+      )}
+
+      {SCORE_FIELDS.map((f) => {
+        const w = mode.weights?.[f.key] ?? 0;
+        return (
+          <div
+            key={f.key}
+            style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 4 }}
+          >
+            <div style={{ width: 90, opacity: 0.85 }}>{f.label}</div>
+            <input
+              type="range"
+              min="0"
+              max="5"
+              step="0.5"
+              value={w}
+              onChange={(e) => setWeight(f.key, Number(e.target.value))}
+              style={{ flex: 1 }}
+            />
+            <div style={{ minWidth: 24, textAlign: "right" }}>{w}</div>
+          </div>
+        );
+      })}
+
+      <div style={{ display: "flex", gap: 8, marginTop: 8 }}>
+        <button onClick={onNew} style={buttonStyle}>
+          Save as new mode
+        </button>
+        <button onClick={onDelete} style={buttonStyle}>
+          {mode.builtin ? "Reset" : "Delete"}
+        </button>
+      </div>
+    </div>
+  );
+}
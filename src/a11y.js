@@ -0,0 +1,71 @@
+import { useEffect, useState } from "react";
+import { explainMatch, shownCollabStatus } from "./similarity";
+
+/* =========================================================
+   ACCESSIBILITY
+   - Reduced motion: starts from the OS setting, persists per
+     device (high contrast is a palette, see theme.js)
+   - Accessible names for nodes (name, year, what they play)
+   - The sentence the live region reads out on selection
+   ========================================================= */
+
+const STORAGE_KEY = "bmsmusic.a11y";
+
+// OS preference check, shared with the "auto" palette in theme.js
+export function mediaMatches(query) {
+  return !!window.matchMedia?.(query).matches;
+}
+
+function loadPrefs() {
+  const defaults = {
+    reduceMotion: mediaMatches("(prefers-reduced-motion: reduce)"),
+  };
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    return saved ? { ...defaults, ...saved } : defaults;
+  } catch {
+    return defaults;
+  }
+}
+
+export function useA11yPrefs() {
+  const [prefs, setPrefs] = useState(loadPrefs);
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(STORAGE_KEY, JSON.stringify(prefs));
+    } catch {
+      // private browsing: options last for this session
+    }
+  }, [prefs]);
+  return [prefs, setPrefs];
+}
+
+const COLLAB_PHRASES = {
+  yes: "up for collaborating",
+  maybe: "maybe up for collaborating",
+  no: "not collaborating right now",
+};
+
+function list(arr, n = 3) {
+  return (arr || []).slice(0, n).join(", ");
+}
+
+export function studentLabel(d) {
+  const bits = [d.name];
+  if (d.year != null) bits.push(`year ${d.year}`);
+  if (d.instruments?.length) bits.push(`plays ${list(d.instruments)}`);
+  const collab = COLLAB_PHRASES[shownCollabStatus(d)];
+  if (collab) bits.push(collab);
+  return bits.join(", ");
+}
+
+// "Selected Ana, year 9, plays drums. Top matches: Ben (guitar, rock), ..."
+export function describeSelection(active, links, weights, n = 3) {
+  if (!active) return "";
+  const top = links.slice(0, n).map(({ to }) => {
+    const shared = explainMatch(active, to, weights).flatMap((r) => r.shared);
+    return shared.length ? `${to.name} (${list(shared)})` : to.name;
+  });
+  const matches = top.length ? `Top matches: ${top.join("; ")}.` : "No matches in this view.";
+  return `Selected ${studentLabel(active)}. ${matches}`;
+}
@@ -0,0 +1,126 @@
+import { LINEUPS, canFill, isWillingToCollab } from "./bands";
+import { shownCollabStatus } from "./similarity";
+
+/* =========================================================
+   ROSTER ANALYTICS
+   - Distributions over the normalised (privacy-applied)
+     dataset: instruments per year, genres, artists, roles,
+     collab willingness
+   - Plain-language insights: scarce vs plentiful parts,
+     year groups missing a core instrument, how many full
+     line-ups the willing students could make at most
+   ========================================================= */
+
+// The parts a school band can't run without
+export const CORE_INSTRUMENTS = ["voice", "drums", "bass", "guitar", "piano", "keyboard"];
+
+const PLAYER_NOUNS = {
+  voice: "singers",
+  drums: "drummers",
+  bass: "bassists",
+  guitar: "guitarists",
+  "electric guitar": "electric guitarists",
+  piano: "pianists",
+  keyboard: "keyboard players",
+  ukulele: "ukulele players",
+};
+
+export function playersOf(instrument) {
+  return PLAYER_NOUNS[instrument] ?? `${instrument} players`;
+}
+
+// [{ value, count }] most common first
+export function countValues(nodes, key) {
+  const counts = new Map();
+  nodes.forEach((d) =>
+    new Set(d[key] || []).forEach((v) => counts.set(v, (counts.get(v) ?? 0) + 1))
+  );
+  return [...counts.entries()]
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)));
+}
+
+export function instrumentsByYear(nodes) {
+  const years = [...new Set(nodes.map((d) => d.year).filter((y) => y != null))].sort(
+    (a, b) => a - b
+  );
+  const instruments = [
+    ...new Set([...CORE_INSTRUMENTS, ...countValues(nodes, "instruments").map((c) => c.value)]),
+  ];
+  const rows = instruments.map((instrument) => {
+    const perYear = new Map(years.map((y) => [y, 0]));
+    nodes.forEach((d) => {
+      if (d.year != null && d.instruments.includes(instrument)) {
+        perYear.set(d.year, perYear.get(d.year) + 1);
+      }
+    });
+    let total = 0;
+    perYear.forEach((c) => (total += c));
+    return { instrument, perYear, total };
+  });
+  return { years, rows };
+}
+
+export function collabCounts(nodes) {
+  const counts = { yes: 0, maybe: 0, no: 0, unknown: 0 };
+  nodes.forEach((d) => (counts[shownCollabStatus(d)] += 1));
+  return counts;
+}
+
+// Each willing student fills at most one slot per band, so the scarcest
+// slot caps the number of complete line-ups.
+export function lineupCapacity(nodes, lineupKey = "four") {
+  const lineup = LINEUPS[lineupKey];
+  const pool = nodes.filter(isWillingToCollab);
+  const slots = lineup.slots.map((slot) => ({
+    slot,
+    count: pool.filter((s) => canFill(s, slot)).length,
+  }));
+  const limiting = slots.reduce((a, b) => (b.count < a.count ? b : a));
+  return {
+    label: lineup.label,
+    max: Math.min(limiting.count, Math.floor(pool.length / lineup.slots.length)),
+    limiting: limiting.slot.label,
+  };
+}
+
+export function rosterInsights(nodes) {
+  if (!nodes.length) return [];
+  const out = [];
+
+  const core = CORE_INSTRUMENTS.map((instrument) => ({
+    instrument,
+    count: nodes.filter((d) => d.instruments.includes(instrument)).length,
+  })).sort((a, b) => a.count - b.count);
+  const low = core[0];
+  const high = core[core.length - 1];
+  if (high.count >= low.count * 2) {
+    const lowText = `${low.count} ${playersOf(low.instrument)}`;
+    out.push(`Only ${lowText} vs ${high.count} ${playersOf(high.instrument)}`);
+  }
+
+  const { years, rows } = instrumentsByYear(nodes);
+  years.forEach((y) => {
+    const missing = rows
+      .filter((r) => CORE_INSTRUMENTS.includes(r.instrument) && r.perYear.get(y) === 0)
+      .map((r) => r.instrument);
+    if (missing.length) out.push(`Year ${y} has no ${missing.join(", ")}`);
+  });
+
+  ["four", "trio"].forEach((key) => {
+    const cap = lineupCapacity(nodes, key);
+    const band = cap.label.toLowerCase();
+    out.push(`At most ${cap.max} ${band} bands (limited by ${cap.limiting.toLowerCase()})`);
+  });
+
+  const collab = collabCounts(nodes);
+  if (collab.no) {
+    out.push(`${collab.no} of ${nodes.length} students aren't up for collaborating right now`);
+  }
+
+  const roles = countValues(nodes, "roles");
+  const songwriters = roles.find((r) => r.value === "songwriter")?.count ?? 0;
+  if (songwriters === 0) out.push("Nobody identifies as a songwriter yet");
+
+  return out;
+}
@@ -0,0 +1,251 @@
+import ARTIST_ALIASES from "./artistAliases.json";
+
+/* =========================================================
+   ARTIST CANONICALISATION
+   - Splits free-text answers on "," / "or" / "/", and on
+     "and" / "&" / "+" only next to a name we know, so acts
+     like "Simon and Garfunkel" stay whole
+   - Pulls names out of "(eg ...)" asides
+   - Drops filler ("just random songs", "sorry i didnt ...")
+   - Maps spellings onto one name: alias table first, then
+     edit distance / consonant skeleton against every name seen
+   ========================================================= */
+
+/* ---------- text helpers ---------- */
+
+// lowercase, accents and punctuation gone, single spaces (search.js too)
+export function simplify(s) {
+  return String(s ?? "")
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9 ]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// comparison key: no leading "the", no spaces ("cold play" == "coldplay")
+function matchKey(s) {
+  return simplify(s).replace(/^the /, "").replace(/ /g, "");
+}
+
+// consonant skeleton: "lana del ray" and "lana del rey" -> "lndlr"
+function skeleton(s) {
+  const k = matchKey(s).replace(/ph/g, "f").replace(/ck/g, "k");
+  if (!k) return "";
+  const rest = k.slice(1).replace(/[aeiouy]/g, "");
+  return (k[0] + rest).replace(/(.)\1+/g, "$1");
+}
+
+// optimal string alignment distance (Levenshtein + adjacent swaps)
+export function editDistance(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let prev2 = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let v = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+      if (
+        prev2 &&
+        i > 1 &&
+        j > 1 &&
+        a[i - 1] === b[j - 2] &&
+        a[i - 2] === b[j - 1]
+      ) {
+        v = Math.min(v, prev2[j - 2] + 1);
+      }
+      cur.push(v);
+    }
+    prev2 = prev;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+function maxTypos(key) {
+  if (key.length <= 4) return 0;
+  if (key.length <= 7) return 1;
+  if (key.length <= 12) return 2;
+  return 3;
+}
+
+/* ---------- splitting + filler ---------- */
+
+// words that make "<word> music" a kind of music, not an act ("roxy music")
+const GENERIC_MUSIC = [
+  "any", "all", "random", "good", "old", "new", "game", "video game", "film", "movie",
+  "pop", "k pop", "rock", "rap", "hip hop", "r b", "jazz", "classical", "edm", "electronic",
+  "dance", "country", "punk", "folk", "indie", "metal", "lo fi", "chill", "christmas",
+  "church", "gospel", "orchestral", "piano", "instrumental", "background",
+];
+
+const FILLER = [
+  /^just random( songs?| stuff)?$/,
+  /^random( songs?| stuff)?$/,
+  /^sorry\b/,
+  /^(idk|i dont know|none|nothing|n a|na|various|anything|everything)$/,
+  /^(soundtracks?|classical|edm)$/,
+  new RegExp(`^(${GENERIC_MUSIC.join("|")}) music$`),
+];
+
+const STRIP = [/^(eg|e g|like|such as|mostly|probably)\s+/, /\s+(specifically|mainly|mostly)$/];
+
+const ALIAS_KEYS = new Set(
+  Object.entries(ARTIST_ALIASES).flatMap(([name, variants]) =>
+    [name, ...variants].map(matchKey)
+  )
+);
+
+function cleanChunk(chunk) {
+  let s = simplify(chunk);
+  for (const re of STRIP) s = s.replace(re, "");
+  s = s.trim();
+  if (!s) return "";
+  if (ALIAS_KEYS.has(matchKey(s))) return s; // a known act is never filler
+  if (FILLER.some((re) => re.test(s))) return "";
+  return s;
+}
+
+// names in the alias table that contain a splitter ("earth wind and fire")
+// must survive the split
+function protectedNames(aliases) {
+  const out = new Set();
+  for (const [name, variants] of Object.entries(aliases)) {
+    [name, ...variants].forEach((v) => {
+      const s = simplify(v);
+      if (/ (and|or) /.test(s) || /[&/+]/.test(String(v))) out.add(s);
+    });
+  }
+  return out;
+}
+
+const PROTECTED = protectedNames(ARTIST_ALIASES);
+
+const isKnown = (chunk) => ALIAS_KEYS.has(matchKey(cleanChunk(chunk)));
+
+// "hans zimmer and beethoven" is two answers, "mumford & sons" is one:
+// split on and / & / + only when one side is a name from the alias table
+function splitJoined(piece) {
+  if (isKnown(piece)) return [piece];
+  const parts = piece.split(/\s+and\s+|\s*[&+]\s*/i);
+  return parts.length > 1 && parts.some(isKnown) ? parts : [piece];
+}
+
+// One piece split on or / "/" (and on and / & / + via splitJoined), with
+// protected names kept whole wherever they sit: "AC/DC and Queen" is two.
+function splitPiece(piece) {
+  const bits = piece.split(/(\s+(?:or|and)\s+|\s*[/&+]\s*)/i); // text, sep, text...
+  const out = [];
+  let rest = [];
+  const flush = () => {
+    rest
+      .join("")
+      .split(/\s+or\s+|\s*\/\s*/i)
+      .forEach((x) => out.push(...splitJoined(x)));
+    rest = [];
+  };
+
+  for (let i = 0; i < bits.length; i += 2) {
+    let end = -1;
+    for (let j = bits.length - 1; j >= i; j -= 2) {
+      if (PROTECTED.has(simplify(bits.slice(i, j + 1).join("")))) {
+        end = j;
+        break;
+      }
+    }
+    if (end < 0) {
+      rest.push(bits[i], bits[i + 1] ?? "");
+      continue;
+    }
+    rest.pop(); // the separator before the name
+    flush();
+    out.push(bits.slice(i, end + 1).join(""));
+    i = end; // the loop step skips the separator after it
+  }
+  flush();
+  return out;
+}
+
+export function splitArtists(v) {
+  if (!v) return [];
+  const parts = Array.isArray(v) ? v.map(String) : String(v).split(/[,;\n]/);
+
+  const chunks = [];
+  parts.forEach((p) => {
+    // "(eg beethoven or hans zimmer)" -> its own chunk
+    const asides = [];
+    const outer = p.replace(/\(([^)]*)\)/g, (_, inner) => {
+      asides.push(inner);
+      return " ";
+    });
+    [outer, ...asides].forEach((piece) => chunks.push(...splitPiece(piece)));
+  });
+
+  return chunks.map(cleanChunk).filter(Boolean);
+}
+
+/* ---------- matcher ---------- */
+
+// Returns a function mapping one cleaned artist string to its canonical
+// display name. Names not in the alias table are remembered, so later
+// misspellings of the same unknown artist fold onto the first one seen.
+export function createArtistMatcher(aliases = ARTIST_ALIASES) {
+  const exact = new Map();
+  const known = [];
+
+  const learn = (key, name) => {
+    if (!key || exact.has(key)) return;
+    exact.set(key, name);
+    known.push({ key, skel: skeleton(key), name });
+  };
+
+  Object.entries(aliases).forEach(([name, variants]) => {
+    learn(matchKey(name), name);
+    (variants || []).forEach((v) => learn(matchKey(v), name));
+  });
+
+  return function canonical(raw) {
+    const key = matchKey(raw);
+    if (!key) return "";
+    if (exact.has(key)) return exact.get(key);
+
+    const skel = skeleton(key);
+    const limit = maxTypos(key);
+    let best = null;
+    let bestD = Infinity;
+    for (const k of known) {
+      if (Math.abs(k.key.length - key.length) > limit) continue;
+      const d = editDistance(key, k.key);
+      if (d <= limit && d < bestD) {
+        best = k;
+        bestD = d;
+      }
+    }
+    if (!best && skel.length >= 4) {
+      best = known.find((k) => k.skel === skel) ?? null;
+    }
+
+    const name = best ? best.name : simplify(raw);
+    learn(key, name);
+    return name;
+  };
+}
+
+export function canonicalArtists(v, matcher) {
+  const out = [];
+  const seen = new Set();
+  splitArtists(v).forEach((chunk) => {
+    const name = matcher(chunk);
+    const k = name.toLowerCase();
+    if (name && !seen.has(k)) {
+      seen.add(k);
+      out.push(name);
+    }
+  });
+  return out;
+}
@@ -0,0 +1,72 @@
+import { canonicalArtists, createArtistMatcher, splitArtists } from "./artists";
+
+describe("splitArtists", () => {
+  it("splits on commas, or and slashes", () => {
+    expect(splitArtists("Adele, Coldplay or Laufey / Djo")).toEqual([
+      "adele",
+      "coldplay",
+      "laufey",
+      "djo",
+    ]);
+  });
+
+  it("keeps acts joined by and / & / + whole", () => {
+    expect(splitArtists("Simon and Garfunkel")).toEqual(["simon and garfunkel"]);
+    expect(splitArtists("Mumford & Sons")).toEqual(["mumford sons"]);
+    expect(splitArtists("Florence + the Machine")).toHaveLength(1);
+    expect(splitArtists("Earth wind and fire")).toEqual(["earth wind and fire"]);
+  });
+
+  it("splits and / & when a side is a known artist", () => {
+    expect(splitArtists("hans zimmer and beethoven")).toEqual(["hans zimmer", "beethoven"]);
+    expect(splitArtists("Billie Eilish & Coldplay")).toEqual(["billie eilish", "coldplay"]);
+  });
+
+  it("protects names containing a splitter", () => {
+    expect(splitArtists("AC/DC")).toEqual(["ac dc"]);
+  });
+
+  it("protects names inside a longer answer", () => {
+    expect(splitArtists("AC/DC and Queen")).toEqual(["ac dc", "queen"]);
+    expect(splitArtists("Queen or Simon and Garfunkel")).toEqual([
+      "queen",
+      "simon and garfunkel",
+    ]);
+  });
+
+  it("drops kinds of music but keeps acts called ... Music", () => {
+    expect(splitArtists("pop music, video game music, Adele")).toEqual(["adele"]);
+    expect(splitArtists("Roxy Music")).toEqual(["roxy music"]);
+  });
+
+  it("pulls names out of asides and drops filler", () => {
+    expect(splitArtists("just random songs (eg beethoven or hans zimmer)")).toEqual([
+      "beethoven",
+      "hans zimmer",
+    ]);
+  });
+});
+
+describe("createArtistMatcher", () => {
+  it("maps aliases and small typos onto the canonical name", () => {
+    const canonical = createArtistMatcher();
+    expect(canonical("cold play")).toBe("Coldplay");
+    expect(canonical("billie eillish")).toBe("Billie Eilish");
+    expect(canonical("lana del ray")).toBe("Lana Del Rey");
+    expect(canonical("mumford and sons")).toBe("Mumford & Sons");
+  });
+
+  it("folds later misspellings of an unknown artist onto the first one seen", () => {
+    const canonical = createArtistMatcher({});
+    expect(canonical("radiohead")).toBe("radiohead");
+    expect(canonical("radiohaed")).toBe("radiohead");
+  });
+
+  it("dedupes within one answer", () => {
+    const canonical = createArtistMatcher();
+    expect(canonicalArtists("Coldplay, cold play, Simon and Garfunkel", canonical)).toEqual([
+      "Coldplay",
+      "Simon & Garfunkel",
+    ]);
+  });
+});
@@ -0,0 +1,125 @@
+/* =========================================================
+   LOCAL AUTH
+   - Teacher: password checked against the SHA-256 hash baked
+     in at build time (REACT_APP_TEACHER_PASSWORD_SHA256).
+     Without one the teacher view stays locked; nobody can
+     claim it from a fresh browser. The session lasts until
+     the tab closes
+   - Student: signed link /student/<id>/<token>, token is an
+     HMAC of the id (REACT_APP_LINK_SECRET). No secret, no
+     links. The secret ships inside the JS bundle like every
+     REACT_APP_* value, so links only stop people guessing
+     URLs; anyone who reads the bundle can make them
+   This keeps casual visitors out of the teacher view. It is
+   not real security: a static site ships its data to every
+   browser, so keep the deployed data.json free of anything
+   that must stay secret.
+   ========================================================= */
+
+const SESSION_KEY = "bmsmusic.teacherSession";
+
+const BUILD_PASSWORD_HASH = process.env.REACT_APP_TEACHER_PASSWORD_SHA256 || "";
+const LINK_SECRET = process.env.REACT_APP_LINK_SECRET || "";
+
+const encoder = new TextEncoder();
+
+function subtle() {
+  if (!window.crypto?.subtle) {
+    throw new Error("This browser only allows sign-in over https.");
+  }
+  return window.crypto.subtle;
+}
+
+function toHex(buf) {
+  return [...new Uint8Array(buf)].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+function toBase64Url(buf) {
+  return btoa(String.fromCharCode(...new Uint8Array(buf)))
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+export async function sha256Hex(text) {
+  return toHex(await subtle().digest("SHA-256", encoder.encode(text)));
+}
+
+/* ---------- teacher ---------- */
+
+function passwordHash() {
+  return BUILD_PASSWORD_HASH.trim().toLowerCase();
+}
+
+// false when the site was built without a teacher password hash
+export function isTeacherGateConfigured() {
+  return /^[0-9a-f]{64}$/.test(passwordHash());
+}
+
+export function isTeacherSession() {
+  if (!isTeacherGateConfigured()) return false;
+  try {
+    const token = window.sessionStorage.getItem(SESSION_KEY);
+    return Boolean(token) && token === passwordHash();
+  } catch {
+    return false;
+  }
+}
+
+function startSession(hash) {
+  try {
+    window.sessionStorage.setItem(SESSION_KEY, hash);
+  } catch {
+    // no session storage: the check below fails and the login shows again
+  }
+}
+
+export async function signInTeacher(password) {
+  if (!isTeacherGateConfigured()) return false;
+  const hash = await sha256Hex(password);
+  if (hash !== passwordHash()) return false;
+  startSession(hash);
+  return true;
+}
+
+export function signOutTeacher() {
+  try {
+    window.sessionStorage.removeItem(SESSION_KEY);
+  } catch {
+    // nothing to clear
+  }
+}
+
+/* ---------- student links ---------- */
+
+export function studentLinksEnabled() {
+  return Boolean(LINK_SECRET);
+}
+
+async function hmacKey() {
+  if (!LINK_SECRET) {
+    throw new Error("Student links are off: build the site with REACT_APP_LINK_SECRET set.");
+  }
+  return subtle().importKey(
+    "raw",
+    encoder.encode(LINK_SECRET),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"]
+  );
+}
+
+export async function studentToken(id) {
+  const sig = await subtle().sign("HMAC", await hmacKey(), encoder.encode(`student:${id}`));
+  return toBase64Url(sig).slice(0, 22);
+}
+
+export async function verifyStudentToken(id, token) {
+  if (!studentLinksEnabled()) return false;
+  return Boolean(token) && (await studentToken(id)) === token;
+}
+
+export async function studentLink(id) {
+  const token = await studentToken(id);
+  return `${window.location.origin}/student/${encodeURIComponent(id)}/${token}`;
+}
@@ -0,0 +1,273 @@
+import { CHORD_INSTRUMENTS, collabStatus } from "./similarity";
+
+/* =========================================================
+   BAND BUILDER
+   - Proposes complete line-ups from the whole (filtered) roster
+   - Each line-up is a list of instrument slots that must be covered
+   - Band strength = sum of pairwise similarity between members
+   - Greedy seeding from the scarcest slot, then a swap pass
+   - Students who said "not right now" to collab are left out
+   ========================================================= */
+
+export const LINEUPS = {
+  four: {
+    label: "Four-piece",
+    slots: [
+      { key: "voice", label: "Voice", instruments: ["voice"], roles: ["singer"] },
+      { key: "drums", label: "Drums", instruments: ["drums"] },
+      { key: "bass", label: "Bass", instruments: ["bass"] },
+      { key: "chords", label: "Guitar/Keys", instruments: CHORD_INSTRUMENTS },
+    ],
+  },
+  five: {
+    label: "Five-piece",
+    slots: [
+      { key: "voice", label: "Voice", instruments: ["voice"], roles: ["singer"] },
+      { key: "drums", label: "Drums", instruments: ["drums"] },
+      { key: "bass", label: "Bass", instruments: ["bass"] },
+      { key: "guitar", label: "Guitar", instruments: ["guitar", "electric guitar", "acoustic guitar"] },
+      { key: "keys", label: "Keys", instruments: ["piano", "keyboard"] },
+    ],
+  },
+  trio: {
+    label: "Trio",
+    slots: [
+      { key: "voice", label: "Voice", instruments: ["voice"], roles: ["singer"] },
+      { key: "drums", label: "Drums", instruments: ["drums"] },
+      { key: "chords", label: "Guitar/Keys", instruments: CHORD_INSTRUMENTS },
+    ],
+  },
+  duo: {
+    label: "Duo",
+    slots: [
+      { key: "voice", label: "Voice", instruments: ["voice"], roles: ["singer"] },
+      { key: "chords", label: "Guitar/Keys", instruments: CHORD_INSTRUMENTS },
+    ],
+  },
+};
+
+function lower(arr) {
+  return (arr || []).map((x) => String(x).toLowerCase());
+}
+
+export function canFill(student, slot) {
+  const ins = lower(student.instruments);
+  const roles = lower(student.roles);
+  return (
+    (slot.instruments || []).some((x) => ins.includes(x)) ||
+    (slot.roles || []).some((x) => roles.includes(x))
+  );
+}
+
+export function isWillingToCollab(student) {
+  return collabStatus(student) !== "no";
+}
+
+/* ---------- scoring helpers ---------- */
+
+// Pairs are cached by position in the pool (a number, not a string key):
+// the greedy pass asks for the same pairs millions of times on big rosters.
+function makePairScore(students, scoreFn) {
+  const n = students.length;
+  const cache = new Map();
+  const index = new Map(students.map((s, i) => [s.id, i]));
+  return (a, b) => {
+    if (a === b) return 0;
+    const i = index.get(a);
+    const j = index.get(b);
+    const k = i < j ? i * n + j : j * n + i;
+    let s = cache.get(k);
+    if (s === undefined) {
+      s = scoreFn(students[i], students[j]);
+      cache.set(k, s);
+    }
+    return s;
+  };
+}
+
+function bandScore(memberIds, pairScore) {
+  let s = 0;
+  for (let i = 0; i < memberIds.length; i++) {
+    for (let j = i + 1; j < memberIds.length; j++) {
+      s += pairScore(memberIds[i], memberIds[j]);
+    }
+  }
+  return s;
+}
+
+/* ---------- greedy assembly ---------- */
+
+// canFill per student and slot, worked out once per build
+function makeCanPlay(slots) {
+  const fits = new Map();
+  return (c, si) => {
+    if (!fits.has(c.id)) fits.set(c.id, slots.map((slot) => canFill(c, slot)));
+    return fits.get(c.id)[si];
+  };
+}
+
+function candidatesBySlot(pool, slots, canPlay) {
+  return slots.map((_, si) => pool.filter((s) => canPlay(s, si)));
+}
+
+// Fill every slot for one seed, picking at each step the free candidate that
+// adds the most to the band so far. Returns null if a slot can't be covered.
+function fillFromSeed(seedIdx, seed, slotOrder, cands, pairScore) {
+  const members = new Array(cands.length).fill(null);
+  const used = new Set([seed.id]);
+  members[seedIdx] = seed;
+
+  for (const si of slotOrder) {
+    if (si === seedIdx) continue;
+    let best = null;
+    let bestGain = -Infinity;
+    for (const c of cands[si]) {
+      if (used.has(c.id)) continue;
+      let gain = 0;
+      for (const m of members) if (m) gain += pairScore(m.id, c.id);
+      if (gain > bestGain) {
+        bestGain = gain;
+        best = c;
+      }
+    }
+    if (!best) return null;
+    members[si] = best;
+    used.add(best.id);
+  }
+  return members;
+}
+
+// Seeds tried per band. Every seed costs a pass over all candidates, so on
+// big rosters an evenly spread sample keeps the whole build near-linear;
+// the swap pass afterwards makes up most of the difference.
+const MAX_SEEDS = 16;
+
+function seedSample(cands) {
+  if (cands.length <= MAX_SEEDS) return cands;
+  const step = cands.length / MAX_SEEDS;
+  return Array.from({ length: MAX_SEEDS }, (_, i) => cands[Math.floor(i * step)]);
+}
+
+function bestBand(pool, slots, pairScore, canPlay) {
+  const cands = candidatesBySlot(pool, slots, canPlay);
+  if (cands.some((c) => c.length === 0)) return null;
+
+  const slotOrder = slots
+    .map((_, i) => i)
+    .sort((a, b) => cands[a].length - cands[b].length);
+  const seedIdx = slotOrder[0];
+
+  let best = null;
+  let bestScore = -Infinity;
+  for (const seed of seedSample(cands[seedIdx])) {
+    const members = fillFromSeed(seedIdx, seed, slotOrder, cands, pairScore);
+    if (!members) continue;
+    const s = bandScore(
+      members.map((m) => m.id),
+      pairScore
+    );
+    if (s > bestScore) {
+      bestScore = s;
+      best = members;
+    }
+  }
+  return best;
+}
+
+/* ---------- swap improvement ---------- */
+
+// Try swapping same-slot members between bands (and with the bench) while the
+// combined score keeps going up. A swap only changes the pairs touching the
+// swapped slot, so that is all it scores.
+function improveBySwaps(bands, bench, slots, pairScore, canPlay, maxRounds = 4) {
+  // score `c` would add sitting in slot `si` of `band`
+  const withOthers = (band, si, c) => {
+    let s = 0;
+    band.forEach((m, i) => {
+      if (i !== si) s += pairScore(m.id, c.id);
+    });
+    return s;
+  };
+
+  for (let round = 0; round < maxRounds; round++) {
+    let improved = false;
+
+    for (let bi = 0; bi < bands.length; bi++) {
+      for (let si = 0; si < slots.length; si++) {
+        // band <-> band
+        for (let bj = bi + 1; bj < bands.length; bj++) {
+          const A = bands[bi];
+          const B = bands[bj];
+          const a = A[si];
+          const b = B[si];
+          const gain =
+            withOthers(A, si, b) -
+            withOthers(A, si, a) +
+            withOthers(B, si, a) -
+            withOthers(B, si, b);
+          if (gain > 1e-9) {
+            A[si] = b;
+            B[si] = a;
+            improved = true;
+          }
+        }
+
+        // band <-> bench
+        for (let k = 0; k < bench.length; k++) {
+          const A = bands[bi];
+          const a = A[si];
+          const c = bench[k];
+          if (!canPlay(c, si)) continue;
+
+          if (withOthers(A, si, c) - withOthers(A, si, a) > 1e-9) {
+            A[si] = c;
+            bench[k] = a;
+            improved = true;
+          }
+        }
+      }
+    }
+
+    if (!improved) break;
+  }
+}
+
+/* ---------- public entry ---------- */
+
+export function buildBands(students, scoreFn, opts = {}) {
+  const slots = opts.slots ?? LINEUPS.four.slots;
+  const respectCollab = opts.respectCollab ?? true;
+  const maxBands = opts.maxBands ?? Infinity;
+
+  const pool = (students || []).filter((s) => !respectCollab || isWillingToCollab(s));
+  const pairScore = makePairScore(pool, scoreFn);
+  const canPlay = makeCanPlay(slots);
+
+  const bands = [];
+  let remaining = pool.slice();
+  while (bands.length < maxBands) {
+    const band = bestBand(remaining, slots, pairScore, canPlay);
+    if (!band) break;
+    bands.push(band);
+    const taken = new Set(band.map((m) => m.id));
+    remaining = remaining.filter((s) => !taken.has(s.id));
+  }
+
+  improveBySwaps(bands, remaining, slots, pairScore, canPlay);
+
+  const result = bands
+    .map((members) => ({
+      members: members.map((m, i) => ({ slot: slots[i], student: m })),
+      score: bandScore(
+        members.map((m) => m.id),
+        pairScore
+      ),
+    }))
+    .sort((a, b) => b.score - a.score);
+
+  // slots nobody left on the bench can play -> the line-up that stopped us
+  const cands = candidatesBySlot(remaining, slots, canPlay);
+  const missing = slots.filter((_, i) => cands[i].length === 0);
+
+  return { bands: result, bench: remaining, missing };
+}
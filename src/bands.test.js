@@ -0,0 +1,72 @@
+import { buildBands, canFill, LINEUPS } from "./bands";
+import { normalizeDataset } from "./dataset";
+import { similarityScore } from "./similarity";
+
+const duo = LINEUPS.duo.slots; // voice, guitar/keys
+const score = (a, b) => similarityScore(a, b, { genres: 1 });
+const ids = (result) =>
+  result.bands.map((b) => b.members.map((m) => `${m.slot.key}:${m.student.id}`));
+
+const roster = normalizeDataset([
+  { id: "v1", instruments: "voice", genres: "rock" },
+  { id: "v2", roles: "singer", genres: "jazz" },
+  { id: "g1", instruments: "electric guitar", genres: "rock" },
+  { id: "k1", instruments: "piano", genres: "jazz" },
+  { id: "d1", instruments: "drums", genres: "jazz" },
+]);
+
+describe("canFill", () => {
+  it("covers a slot by instrument or by role", () => {
+    const [voice, chords] = duo;
+    expect(canFill(roster[0], voice)).toBe(true);
+    expect(canFill(roster[1], voice)).toBe(true); // singer role
+    expect(canFill(roster[2], chords)).toBe(true);
+    expect(canFill(roster[4], chords)).toBe(false);
+  });
+});
+
+describe("buildBands", () => {
+  it("fills every slot and pairs people who score best together", () => {
+    const result = buildBands(roster, score, { slots: duo });
+    expect(ids(result)).toEqual([
+      ["voice:v1", "chords:g1"],
+      ["voice:v2", "chords:k1"],
+    ]);
+    expect(result.bands.map((b) => b.score)).toEqual([1, 1]);
+    expect(result.bench.map((s) => s.id)).toEqual(["d1"]);
+    expect(result.missing).toEqual(duo); // nobody left for either slot
+  });
+
+  it("swaps members when that raises the total", () => {
+    // greedy takes the strongest pair (v1 + k1 = 3) and leaves v2 + k2 = 0;
+    // v1 + k2 and v2 + k1 score 2 + 2
+    const students = normalizeDataset([
+      { id: "v1", instruments: "voice", genres: "rock,pop,jazz" },
+      { id: "v2", instruments: "voice", genres: "folk,punk" },
+      { id: "k1", instruments: "piano", genres: "rock,pop,jazz,folk,punk" },
+      { id: "k2", instruments: "piano", genres: "rock,pop" },
+    ]);
+    const result = buildBands(students, score, { slots: duo });
+    expect(ids(result)).toEqual([
+      ["voice:v2", "chords:k1"],
+      ["voice:v1", "chords:k2"],
+    ]);
+    expect(result.bands.map((b) => b.score)).toEqual([2, 2]);
+  });
+
+  it("leaves out students who said not right now", () => {
+    const students = normalizeDataset([
+      { id: "v1", instruments: "voice", collab: "not right now" },
+      { id: "k1", instruments: "piano" },
+    ]);
+    expect(buildBands(students, score, { slots: duo }).bands).toEqual([]);
+    const all = buildBands(students, score, { slots: duo, respectCollab: false });
+    expect(all.bands).toHaveLength(1);
+  });
+
+  it("reports the slots nobody can play", () => {
+    const result = buildBands(roster, score, { slots: LINEUPS.four.slots });
+    expect(result.bands).toEqual([]);
+    expect(result.missing.map((s) => s.key)).toEqual(["bass"]);
+  });
+});
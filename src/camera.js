@@ -0,0 +1,196 @@
+import { useEffect, useRef, useState } from "react";
+
+/* =========================================================
+   CAMERA (pan / zoom for the constellation SVG)
+   - view = { x, y, k }: screen = world * k + (x, y)
+   - Wheel / trackpad pinch zooms around the cursor; Alt+wheel
+     is handed back to the caller (step through students)
+   - Drag pans (after a few px, so taps still select);
+     two pointers pinch-zoom on touch screens
+   - fitView() + animateTo() glide to a set of points
+     (zoom-to-fit, focus on the selection)
+   ========================================================= */
+
+export const IDENTITY = { x: 0, y: 0, k: 1 };
+
+const MIN_K = 0.3;
+const MAX_K = 8;
+const DRAG_THRESHOLD = 4;
+
+function clamp(n, a, b) {
+  return Math.max(a, Math.min(b, n));
+}
+
+function ease(t) {
+  return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+}
+
+// zoom by `factor` keeping screen point (sx, sy) still
+function zoomAt(v, factor, sx, sy) {
+  const k = clamp(v.k * factor, MIN_K, MAX_K);
+  const f = k / v.k;
+  return { k, x: sx - (sx - v.x) * f, y: sy - (sy - v.y) * f };
+}
+
+// View that fits world points [{x, y}] into the W x H screen. `top` and
+// `left` reserve room for the control bar and an open side panel.
+export function fitView(points, W, H, opts = {}) {
+  const { pad = 60, top = 70, left = 0, minK = MIN_K, maxK = 4 } = opts;
+  if (!points.length) return IDENTITY;
+  const xs = points.map((p) => p.x);
+  const ys = points.map((p) => p.y);
+  const x0 = Math.min(...xs);
+  const x1 = Math.max(...xs);
+  const y0 = Math.min(...ys);
+  const y1 = Math.max(...ys);
+  const availW = Math.max(1, W - pad * 2 - left);
+  const availH = Math.max(1, H - pad * 2 - top);
+  const fit = Math.min(availW / Math.max(1, x1 - x0), availH / Math.max(1, y1 - y0));
+  const k = clamp(fit, minK, maxK);
+  return {
+    k,
+    x: left + pad + availW / 2 - ((x0 + x1) / 2) * k,
+    y: top + pad + availH / 2 - ((y0 + y1) / 2) * k,
+  };
+}
+
+// `reduceMotion`: the app's own option, on top of the OS setting
+export function useCamera(svgRef, { onNavigateWheel, reduceMotion = false } = {}) {
+  const [view, setViewState] = useState(IDENTITY);
+  const viewRef = useRef(view);
+  const frame = useRef(0);
+  const navigateRef = useRef(onNavigateWheel);
+  navigateRef.current = onNavigateWheel;
+
+  const setView = (v) => {
+    cancelAnimationFrame(frame.current);
+    viewRef.current = v;
+    setViewState(v);
+  };
+
+  const animateTo = (target, duration = 450) => {
+    cancelAnimationFrame(frame.current);
+    const from = viewRef.current;
+    const reduce =
+      reduceMotion || window.matchMedia?.("(prefers-reduced-motion: reduce)").matches;
+    if (reduce || duration <= 0) {
+      setView(target);
+      return;
+    }
+    const t0 = performance.now();
+    const step = (now) => {
+      const t = ease(Math.min(1, (now - t0) / duration));
+      const v = {
+        x: from.x + (target.x - from.x) * t,
+        y: from.y + (target.y - from.y) * t,
+        k: from.k + (target.k - from.k) * t,
+      };
+      viewRef.current = v;
+      setViewState(v);
+      if (t < 1) frame.current = requestAnimationFrame(step);
+    };
+    frame.current = requestAnimationFrame(step);
+  };
+
+  useEffect(() => () => cancelAnimationFrame(frame.current), []);
+
+  // non-passive so ctrl+wheel (trackpad pinch) doesn't zoom the page
+  useEffect(() => {
+    const svg = svgRef.current;
+    if (!svg) return undefined;
+    const onWheel = (e) => {
+      e.preventDefault();
+      if (e.altKey) {
+        navigateRef.current?.(e);
+        return;
+      }
+      const r = svg.getBoundingClientRect();
+      const factor = Math.exp(-(e.deltaY ?? 0) * (e.ctrlKey ? 0.01 : 0.0015));
+      setView(zoomAt(viewRef.current, factor, e.clientX - r.left, e.clientY - r.top));
+    };
+    svg.addEventListener("wheel", onWheel, { passive: false });
+    return () => svg.removeEventListener("wheel", onWheel);
+  }, [svgRef]);
+
+  /* ---------- drag + pinch ---------- */
+
+  const pointers = useRef(new Map()); // id -> { x, y }
+  const gesture = useRef(null);
+
+  const local = (e) => {
+    const r = svgRef.current.getBoundingClientRect();
+    return { x: e.clientX - r.left, y: e.clientY - r.top };
+  };
+
+  const startGesture = () => {
+    const pts = [...pointers.current.values()];
+    if (pts.length >= 2) {
+      const [a, b] = pts;
+      gesture.current = {
+        kind: "pinch",
+        view: viewRef.current,
+        dist: Math.hypot(a.x - b.x, a.y - b.y) || 1,
+        mid: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 },
+      };
+    } else if (pts.length === 1) {
+      gesture.current = { kind: "pan", view: viewRef.current, start: pts[0], moved: false };
+    } else {
+      gesture.current = null;
+    }
+  };
+
+  const onPointerDown = (e) => {
+    pointers.current.set(e.pointerId, local(e));
+    startGesture();
+  };
+
+  const onPointerMove = (e) => {
+    if (!pointers.current.has(e.pointerId)) return;
+    pointers.current.set(e.pointerId, local(e));
+    const g = gesture.current;
+    if (!g) return;
+
+    if (g.kind === "pinch") {
+      const [a, b] = [...pointers.current.values()];
+      const dist = Math.hypot(a.x - b.x, a.y - b.y);
+      const mid = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+      const zoomed = zoomAt(g.view, dist / g.dist, g.mid.x, g.mid.y);
+      setView({ ...zoomed, x: zoomed.x + mid.x - g.mid.x, y: zoomed.y + mid.y - g.mid.y });
+      return;
+    }
+
+    const p = pointers.current.get(e.pointerId);
+    const dx = p.x - g.start.x;
+    const dy = p.y - g.start.y;
+    if (!g.moved && Math.hypot(dx, dy) < DRAG_THRESHOLD) return;
+    if (!g.moved) {
+      g.moved = true;
+      svgRef.current.setPointerCapture?.(e.pointerId);
+    }
+    setView({ ...g.view, x: g.view.x + dx, y: g.view.y + dy });
+  };
+
+  const onPointerUp = (e) => {
+    pointers.current.delete(e.pointerId);
+    startGesture();
+  };
+
+  const zoomBy = (factor) => {
+    const r = svgRef.current.getBoundingClientRect();
+    animateTo(zoomAt(viewRef.current, factor, r.width / 2, r.height / 2), 200);
+  };
+
+  return {
+    view,
+    transform: `translate(${view.x} ${view.y}) scale(${view.k})`,
+    handlers: {
+      onPointerDown,
+      onPointerMove,
+      onPointerUp,
+      onPointerCancel: onPointerUp,
+    },
+    animateTo,
+    zoomBy,
+    reset: () => animateTo(IDENTITY),
+  };
+}
@@ -0,0 +1,214 @@
+import { knnEdges } from "./similarity";
+
+/* =========================================================
+   MUSICAL COMMUNITIES
+   - Graph: every student linked to their top-k matches under
+     the current mode (dense all-pairs graphs blur into one blob)
+   - Louvain modularity optimisation, repeated on the
+     aggregated graph until nothing moves
+   - Each cluster is labelled from its dominant genres/artists;
+     colours come from the active palette (paintClusters)
+   ========================================================= */
+
+const NEIGHBOURS = 6;
+
+/* ---------- louvain ---------- */
+
+// adj: array of Map(j -> weight), symmetric; adj[i].get(i) holds the
+// (already doubled) weight of edges folded inside node i.
+function oneLevel(adj) {
+  const n = adj.length;
+  const k = adj.map((m) => {
+    let t = 0;
+    m.forEach((w) => (t += w));
+    return t;
+  });
+  const m2 = k.reduce((a, b) => a + b, 0);
+  const comm = adj.map((_, i) => i);
+  const tot = k.slice();
+  if (!m2) return { comm, moved: false };
+
+  let moved = false;
+  for (let pass = 0; pass < 20; pass++) {
+    let changed = false;
+    for (let i = 0; i < n; i++) {
+      const wc = new Map();
+      adj[i].forEach((w, j) => {
+        if (j !== i) wc.set(comm[j], (wc.get(comm[j]) ?? 0) + w);
+      });
+
+      const own = comm[i];
+      tot[own] -= k[i];
+
+      let best = own;
+      let bestGain = (wc.get(own) ?? 0) - (tot[own] * k[i]) / m2;
+      wc.forEach((w, c) => {
+        const gain = w - (tot[c] * k[i]) / m2;
+        if (gain > bestGain + 1e-12) {
+          best = c;
+          bestGain = gain;
+        }
+      });
+
+      tot[best] += k[i];
+      if (best !== own) {
+        comm[i] = best;
+        changed = true;
+        moved = true;
+      }
+    }
+    if (!changed) break;
+  }
+  return { comm, moved };
+}
+
+function renumber(comm) {
+  const ids = new Map();
+  return comm.map((c) => {
+    if (!ids.has(c)) ids.set(c, ids.size);
+    return ids.get(c);
+  });
+}
+
+function aggregate(adj, comm, size) {
+  const out = Array.from({ length: size }, () => new Map());
+  adj.forEach((m, i) =>
+    m.forEach((w, j) => {
+      const a = comm[i];
+      const b = comm[j];
+      out[a].set(b, (out[a].get(b) ?? 0) + w);
+    })
+  );
+  return out;
+}
+
+// ids + weighted edges -> Map(id -> community index)
+export function louvain(ids, edges) {
+  const index = new Map(ids.map((id, i) => [id, i]));
+  let adj = ids.map(() => new Map());
+  edges.forEach(({ source, target, weight }) => {
+    const a = index.get(source);
+    const b = index.get(target);
+    if (a == null || b == null || a === b || !(weight > 0)) return;
+    adj[a].set(b, (adj[a].get(b) ?? 0) + weight);
+    adj[b].set(a, (adj[b].get(a) ?? 0) + weight);
+  });
+
+  let membership = ids.map((_, i) => i);
+  for (let level = 0; level < 10; level++) {
+    const { comm, moved } = oneLevel(adj);
+    if (!moved) break;
+    const flat = renumber(comm);
+    membership = membership.map((c) => flat[c]);
+    adj = aggregate(adj, flat, Math.max(...flat) + 1);
+  }
+
+  const final = renumber(membership);
+  return new Map(ids.map((id, i) => [id, final[i]]));
+}
+
+/* ---------- labels ---------- */
+
+function valueShares(members, key) {
+  const counts = new Map();
+  members.forEach((m) =>
+    (m[key] || []).forEach((v) => counts.set(v, (counts.get(v) ?? 0) + 1))
+  );
+  const shares = new Map();
+  counts.forEach((c, v) => shares.set(v, { count: c, share: c / members.length }));
+  return shares;
+}
+
+// "film/game · Billie Eilish, KATSEYE": genres liked by at least 40% of the
+// cluster, ranked by how much more common they are here than in the whole
+// roster (so "pop" doesn't label everything), plus artists cited twice+
+export function clusterLabel(members, everyone = members) {
+  const overall = valueShares(everyone, "genres");
+  const genres = [...valueShares(members, "genres").entries()]
+    .filter(([, g]) => g.share >= 0.4)
+    .map(([v, g]) => [v, g.share / (overall.get(v)?.share || g.share)])
+    .sort((a, b) => b[1] - a[1] || String(a[0]).localeCompare(String(b[0])))
+    .map(([v]) => v);
+
+  const artists = [...valueShares(members, "artists").entries()]
+    .filter(([, a]) => a.count >= 2)
+    .sort((a, b) => b[1].count - a[1].count || String(a[0]).localeCompare(String(b[0])))
+    .map(([v]) => v);
+
+  const g = genres.slice(0, 2).join("/");
+  const a = artists.slice(0, 2).join(", ");
+  return [g, a].filter(Boolean).join(" · ") || "mixed";
+}
+
+/* ---------- entry ---------- */
+
+export function detectClusters(nodes, weights) {
+  const ids = nodes.map((n) => n.id);
+  const assignment = louvain(ids, knnEdges(nodes, weights, NEIGHBOURS));
+
+  const groups = new Map();
+  nodes.forEach((n) => {
+    const c = assignment.get(n.id);
+    if (!groups.has(c)) groups.set(c, []);
+    groups.get(c).push(n);
+  });
+
+  const clusters = [...groups.values()]
+    .sort((a, b) => b.length - a.length)
+    .map((members, i) => ({
+      id: i,
+      members,
+      label: clusterLabel(members, nodes),
+    }));
+
+  const byId = new Map();
+  clusters.forEach((c) => c.members.forEach((m) => byId.set(m.id, c)));
+  return { clusters, byId };
+}
+
+// Clusters with a `color` from the palette's list (theme.js), so a palette
+// switch recolours without re-running Louvain.
+export function paintClusters({ clusters }, colors) {
+  const painted = clusters.map((c) => ({ ...c, color: colors[c.id % colors.length] }));
+  const byId = new Map();
+  painted.forEach((c) => c.members.forEach((m) => byId.set(m.id, c)));
+  return { clusters: painted, byId };
+}
+
+/* ---------- hulls ---------- */
+
+function cross(o, a, b) {
+  return (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+}
+
+// Padded convex hull around a set of {cx, cy}: each point contributes a
+// small ring so single nodes and pairs still get a rounded outline.
+export function hullPath(points, pad = 20) {
+  const pts = [];
+  points.forEach((p) => {
+    for (let i = 0; i < 12; i++) {
+      const a = (i / 12) * Math.PI * 2;
+      pts.push([p.cx + Math.cos(a) * pad, p.cy + Math.sin(a) * pad]);
+    }
+  });
+  pts.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+
+  const lower = [];
+  for (const p of pts) {
+    while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) {
+      lower.pop();
+    }
+    lower.push(p);
+  }
+  const upper = [];
+  for (let i = pts.length - 1; i >= 0; i--) {
+    const p = pts[i];
+    while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) {
+      upper.pop();
+    }
+    upper.push(p);
+  }
+  const hull = lower.slice(0, -1).concat(upper.slice(0, -1));
+  if (!hull.length) return "";
+  return `M ${hull.map((p) => `${p[0].toFixed(1)} ${p[1].toFixed(1)}`).join(" L ")} Z`;
+}
@@ -0,0 +1,46 @@
+import { canonicalArtists, createArtistMatcher } from "./artists";
+
+/* ---------- dataset ---------- */
+
+export function toArrayLoose(v) {
+  if (!v) return [];
+  if (Array.isArray(v)) {
+    return v
+      .map((x) => String(x).trim())
+      .filter(Boolean);
+  }
+  return String(v)
+    .split(",")
+    .map((x) => x.trim())
+    .filter(Boolean);
+}
+
+export function yearToNumber(y) {
+  const m = String(y ?? "").match(/(\d{1,2})/);
+  return m ? Number(m[1]) : null;
+}
+
+// "yes" / "no" / anything else (not asked yet)
+export function consentFlag(v) {
+  const s = String(v ?? "").trim().toLowerCase();
+  if (/^(y|yes|true|1|ok|agreed?)$/.test(s)) return true;
+  if (/^(n|no|false|0|refused|declined)$/.test(s)) return false;
+  return null;
+}
+
+export function normalizeDataset(raw) {
+  // one matcher per dataset so misspellings fold onto names seen earlier
+  const matchArtist = createArtistMatcher();
+  return (Array.isArray(raw) ? raw : []).map((d, i) => ({
+    id: d.id ?? `s-${i}`,
+    name: d.name ?? d.id ?? `Student ${i + 1}`,
+    year: yearToNumber(d.year),
+    instruments: toArrayLoose(d.instruments),
+    genres: toArrayLoose(d.genres),
+    artists: canonicalArtists(d.artists, matchArtist),
+    roles: toArrayLoose(d.roles ?? d.role), // older exports say "role"
+    geek: toArrayLoose(d.geek),
+    collab: d.collab ?? "",
+    consent: consentFlag(d.consent),
+  }));
+}
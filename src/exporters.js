@@ -0,0 +1,182 @@
+import { explainMatch, knnEdges } from "./similarity";
+
+/* =========================================================
+   EXPORT
+   - Constellation as SVG / PNG (what is on screen)
+   - Selected student's ranked links as CSV
+   - Similarity graph (each student -> their top-N) as
+     GraphML (Gephi, yEd) or JSON
+   Everything works from the filtered nodes, so the year
+   filter and Top-N setting carry through.
+   ========================================================= */
+
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/* ---------- image ---------- */
+
+// `underlay`: optional canvas drawn under the SVG (large-roster renderer),
+// embedded as a bitmap so the export still shows every dot
+// page background of the active palette (theme.js)
+function paletteBackground() {
+  const bg = getComputedStyle(document.documentElement).getPropertyValue("--bms-bg");
+  return bg.trim() || "#000";
+}
+
+export function svgToString(svg, background = paletteBackground(), underlay = null) {
+  const { width, height } = svg.getBoundingClientRect();
+  const clone = svg.cloneNode(true);
+  clone.setAttribute("xmlns", "http://www.w3.org/2000/svg");
+  clone.setAttribute("width", String(Math.round(width)));
+  clone.setAttribute("height", String(Math.round(height)));
+  clone.setAttribute("viewBox", `0 0 ${Math.round(width)} ${Math.round(height)}`);
+
+  const bg = document.createElementNS("http://www.w3.org/2000/svg", "rect");
+  bg.setAttribute("width", "100%");
+  bg.setAttribute("height", "100%");
+  bg.setAttribute("fill", background);
+  clone.insertBefore(bg, clone.firstChild);
+
+  if (underlay) {
+    const img = document.createElementNS("http://www.w3.org/2000/svg", "image");
+    img.setAttribute("href", underlay.toDataURL("image/png"));
+    img.setAttribute("width", String(Math.round(width)));
+    img.setAttribute("height", String(Math.round(height)));
+    clone.insertBefore(img, bg.nextSibling);
+  }
+
+  return new XMLSerializer().serializeToString(clone);
+}
+
+export function exportSVG(svg, filename, underlay = null) {
+  downloadBlob(
+    new Blob([svgToString(svg, undefined, underlay)], { type: "image/svg+xml;charset=utf-8" }),
+    filename
+  );
+}
+
+export function exportPNG(svg, filename, scale = 2, underlay = null) {
+  const { width, height } = svg.getBoundingClientRect();
+  const url = URL.createObjectURL(
+    new Blob([svgToString(svg, undefined, underlay)], { type: "image/svg+xml;charset=utf-8" })
+  );
+  const img = new Image();
+  img.onload = () => {
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.round(width * scale);
+    canvas.height = Math.round(height * scale);
+    const ctx = canvas.getContext("2d");
+    ctx.scale(scale, scale);
+    ctx.drawImage(img, 0, 0, width, height);
+    URL.revokeObjectURL(url);
+    canvas.toBlob((blob) => blob && downloadBlob(blob, filename), "image/png");
+  };
+  img.src = url;
+}
+
+/* ---------- csv ---------- */
+
+function csvCell(v) {
+  const s = String(v ?? "");
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function toCSV(rows) {
+  return rows.map((r) => r.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+export function linksToCSV(active, links, weights) {
+  const header = ["rank", "student", "year", "score", "strength", "shared"];
+  const rows = links.map((l, i) => [
+    i + 1,
+    l.to.name,
+    l.to.year ?? "",
+    l.score,
+    l.ratio.toFixed(2),
+    explainMatch(active, l.to, weights)
+      .filter((r) => r.points > 0)
+      .map((r) => `${r.label.toLowerCase()}: ${r.shared.join("; ")}`)
+      .join(" | "),
+  ]);
+  return toCSV([header, ...rows]);
+}
+
+/* ---------- graph ---------- */
+
+// Each student's top-N matches as an undirected weighted graph.
+export function similarityGraph(nodes, weights, topN) {
+  return {
+    nodes: nodes.map((d) => ({
+      id: d.id,
+      name: d.name,
+      year: d.year,
+      instruments: d.instruments,
+      genres: d.genres,
+      artists: d.artists,
+      roles: d.roles,
+      geek: d.geek,
+      collab: d.collab,
+    })),
+    edges: knnEdges(nodes, weights, topN),
+  };
+}
+
+function xmlEscape(v) {
+  return String(v ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+const NODE_KEYS = ["name", "year", "instruments", "genres", "artists", "roles", "geek", "collab"];
+
+export function graphToGraphML(graph, description = "") {
+  const keys = NODE_KEYS.map(
+    (k) =>
+      `  <key id="${k}" for="node" attr.name="${k}" attr.type="${
+        k === "year" ? "int" : "string"
+      }"/>`
+  );
+  keys.push('  <key id="weight" for="edge" attr.name="weight" attr.type="double"/>');
+
+  const nodes = graph.nodes.map((n) => {
+    const data = NODE_KEYS.filter((k) => n[k] != null && n[k] !== "")
+      .map((k) => {
+        const v = Array.isArray(n[k]) ? n[k].join(", ") : n[k];
+        return `      <data key="${k}">${xmlEscape(v)}</data>`;
+      })
+      .join("\n");
+    return `    <node id="${xmlEscape(n.id)}">\n${data}\n    </node>`;
+  });
+
+  const edges = graph.edges.map(
+    (e, i) =>
+      `    <edge id="e${i}" source="${xmlEscape(e.source)}" target="${xmlEscape(
+        e.target
+      )}">\n      <data key="weight">${e.weight}</data>\n    </edge>`
+  );
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    ...keys,
+    `  <graph id="G" edgedefault="undirected">`,
+    description ? `    <desc>${xmlEscape(description)}</desc>` : null,
+    ...nodes,
+    ...edges,
+    "  </graph>",
+    "</graphml>",
+    "",
+  ]
+    .filter((x) => x != null)
+    .join("\n");
+}
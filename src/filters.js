@@ -0,0 +1,118 @@
+import { shownCollabStatus } from "./similarity";
+
+/* =========================================================
+   FILTERS
+   - Rules on year range, instrument, genre, role, geek,
+     collab status and free-text artist
+   - Combined with AND (all rules) or OR (any rule)
+   - Applied to the roster before layout, clustering and
+     links, so everything on screen is the filtered set
+   - Round-trip through the URL as ?f=<field>:<value>&any=1
+   ========================================================= */
+
+export const FILTER_FIELDS = [
+  { key: "year", label: "Year", kind: "year", hint: "9 or 9-11" },
+  { key: "instruments", label: "Instrument", kind: "list" },
+  { key: "genres", label: "Genre", kind: "list" },
+  { key: "roles", label: "Role", kind: "list" },
+  { key: "geek", label: "Geek", kind: "list" },
+  { key: "collab", label: "Collab", kind: "collab" },
+  { key: "artists", label: "Artist", kind: "text", hint: "part of a name" },
+];
+
+export const COLLAB_FILTERS = [
+  { id: "willing", label: "yes or maybe" },
+  { id: "yes", label: "yes" },
+  { id: "maybe", label: "maybe" },
+  { id: "no", label: "not right now" },
+  { id: "unknown", label: "not said" },
+];
+
+export const EMPTY_FILTERS = { combine: "and", rules: [] };
+
+export function filterField(key) {
+  return FILTER_FIELDS.find((f) => f.key === key) ?? null;
+}
+
+// "9" -> [9, 9], "9-11" / "9–11" -> [9, 11]; null if not a year range
+export function parseYearRange(value) {
+  const m = /^\s*(\d{1,2})\s*(?:[-–]\s*(\d{1,2}))?\s*$/.exec(String(value ?? ""));
+  if (!m) return null;
+  const a = Number(m[1]);
+  const b = m[2] == null ? a : Number(m[2]);
+  return [Math.min(a, b), Math.max(a, b)];
+}
+
+// "drums" matches "drums"; "guitar" also matches "electric guitar"
+function listHas(arr, value) {
+  const v = value.toLowerCase();
+  return (arr || []).some((x) => {
+    const s = String(x).toLowerCase();
+    return s === v || s.split(/\s+/).includes(v);
+  });
+}
+
+export function matchesRule(d, { field, value }) {
+  const def = filterField(field);
+  if (!def) return true;
+  if (def.kind === "year") {
+    const range = parseYearRange(value);
+    return range != null && d.year != null && d.year >= range[0] && d.year <= range[1];
+  }
+  if (def.kind === "collab") {
+    const status = shownCollabStatus(d);
+    return value === "willing" ? status === "yes" || status === "maybe" : status === value;
+  }
+  if (def.kind === "text") {
+    const v = value.toLowerCase();
+    return (d[field] || []).some((x) => String(x).toLowerCase().includes(v));
+  }
+  return listHas(d[field], value);
+}
+
+export function applyFilters(nodes, { combine, rules }) {
+  if (!rules.length) return nodes;
+  const test =
+    combine === "or"
+      ? (d) => rules.some((r) => matchesRule(d, r))
+      : (d) => rules.every((r) => matchesRule(d, r));
+  return nodes.filter(test);
+}
+
+// null when the rule can't be used (unknown field, empty or bad value)
+export function makeRule(field, value) {
+  const def = filterField(field);
+  const v = String(value ?? "").trim();
+  if (!def || !v) return null;
+  if (def.kind === "year" && !parseYearRange(v)) return null;
+  if (def.kind === "collab" && !COLLAB_FILTERS.some((c) => c.id === v)) return null;
+  return { field, value: def.kind === "year" || def.kind === "collab" ? v : v.toLowerCase() };
+}
+
+export function sameRule(a, b) {
+  return a.field === b.field && a.value === b.value;
+}
+
+// chip text: "Year 9–11", "Instrument: drums", "Collab: yes or maybe"
+export function ruleLabel({ field, value }) {
+  const def = filterField(field);
+  if (def.kind === "year") {
+    const [a, b] = parseYearRange(value);
+    return a === b ? `Year ${a}` : `Year ${a}–${b}`;
+  }
+  if (def.kind === "collab") {
+    return `Collab: ${COLLAB_FILTERS.find((c) => c.id === value).label}`;
+  }
+  return `${def.label}: ${value}`;
+}
+
+/* ---------- URL ---------- */
+
+export function encodeRule({ field, value }) {
+  return `${field}:${value}`;
+}
+
+export function decodeRule(s) {
+  const i = s.indexOf(":");
+  return i < 0 ? null : makeRule(s.slice(0, i), s.slice(i + 1));
+}
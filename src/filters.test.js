@@ -0,0 +1,95 @@
+import { normalizeDataset } from "./dataset";
+import {
+  applyFilters,
+  decodeRule,
+  encodeRule,
+  makeRule,
+  matchesRule,
+  parseYearRange,
+  ruleLabel,
+} from "./filters";
+
+const [ana, ben, cleo] = normalizeDataset([
+  {
+    id: "a",
+    year: "year 8",
+    instruments: "electric guitar",
+    genres: "rock",
+    artists: "Arctic Monkeys",
+    collab: "yes",
+  },
+  { id: "b", year: "year 10", instruments: "drums", genres: "rock,punk", collab: "maybe" },
+  { id: "c", year: "year 11", instruments: "guitar", genres: "pop", collab: "not right now" },
+]);
+const roster = [ana, ben, cleo];
+const ids = (list) => list.map((d) => d.id);
+
+describe("parseYearRange", () => {
+  it("reads one year or a range either way round", () => {
+    expect(parseYearRange("9")).toEqual([9, 9]);
+    expect(parseYearRange("11-9")).toEqual([9, 11]);
+    expect(parseYearRange("9–11")).toEqual([9, 11]);
+    expect(parseYearRange("nine")).toBeNull();
+  });
+});
+
+describe("matchesRule", () => {
+  it("matches list values as whole words", () => {
+    expect(matchesRule(ana, { field: "instruments", value: "guitar" })).toBe(true);
+    expect(matchesRule(ana, { field: "instruments", value: "gui" })).toBe(false);
+  });
+
+  it("matches part of an artist name", () => {
+    expect(matchesRule(ana, { field: "artists", value: "monkey" })).toBe(true);
+  });
+
+  it("reads collab status, with willing as yes or maybe", () => {
+    const willing = { field: "collab", value: "willing" };
+    expect(roster.map((d) => matchesRule(d, willing))).toEqual([true, true, false]);
+    expect(matchesRule(cleo, { field: "collab", value: "no" })).toBe(true);
+  });
+
+  it("checks the year range", () => {
+    const inRange = roster.filter((d) => matchesRule(d, { field: "year", value: "9-10" }));
+    expect(ids(inRange)).toEqual(["b"]);
+  });
+});
+
+describe("applyFilters", () => {
+  const rules = [
+    { field: "genres", value: "rock" },
+    { field: "instruments", value: "guitar" },
+  ];
+
+  it("needs every rule with and, any rule with or", () => {
+    expect(ids(applyFilters(roster, { combine: "and", rules }))).toEqual(["a"]);
+    expect(ids(applyFilters(roster, { combine: "or", rules }))).toEqual(["a", "b", "c"]);
+  });
+
+  it("returns the same list without rules", () => {
+    expect(applyFilters(roster, { combine: "and", rules: [] })).toBe(roster);
+  });
+});
+
+describe("makeRule", () => {
+  it("cleans values and rejects unusable rules", () => {
+    expect(makeRule("genres", " Rock ")).toEqual({ field: "genres", value: "rock" });
+    expect(makeRule("year", "9-11")).toEqual({ field: "year", value: "9-11" });
+    expect(makeRule("year", "old")).toBeNull();
+    expect(makeRule("collab", "sometimes")).toBeNull();
+    expect(makeRule("shoe size", "9")).toBeNull();
+    expect(makeRule("genres", "  ")).toBeNull();
+  });
+
+  it("labels chips", () => {
+    expect(ruleLabel({ field: "year", value: "9-11" })).toBe("Year 9–11");
+    expect(ruleLabel({ field: "collab", value: "willing" })).toBe("Collab: yes or maybe");
+    expect(ruleLabel({ field: "genres", value: "rock" })).toBe("Genre: rock");
+  });
+
+  it("round-trips through the URL form", () => {
+    const rule = { field: "artists", value: "ac:dc" };
+    expect(decodeRule(encodeRule(rule))).toEqual(rule);
+    expect(decodeRule("no-colon")).toBeNull();
+  });
+});
@@ -0,0 +1,64 @@
+import { LINEUPS, canFill } from "./bands";
+import { topMatches } from "./similarity";
+
+/* =========================================================
+   GROUP COMPARISON
+   - members: several selected students (shift/ctrl-click)
+   - union of every member's top matches, ranked by how many
+     members share the match, then by combined score
+   - shared: matches that appear for EVERY member
+   - collab options ({ policy, mutualOnly }) as for one student
+   - profile: combined instruments / genres / roles with counts,
+     genres everyone likes, and four-piece slots nobody covers
+   ========================================================= */
+
+function countValues(members, key) {
+  const counts = new Map();
+  members.forEach((m) =>
+    (m[key] || []).forEach((v) => {
+      const k = String(v).toLowerCase();
+      counts.set(k, (counts.get(k) ?? 0) + 1);
+    })
+  );
+  return [...counts.entries()]
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+}
+
+export function groupSummary(members, nodes, weights, topN, collab) {
+  const memberIds = new Set(members.map((m) => m.id));
+
+  const byId = new Map();
+  members.forEach((m) => {
+    topMatches(m, nodes, weights, topN, memberIds, collab).forEach(({ n, s }) => {
+      if (!byId.has(n.id)) byId.set(n.id, { node: n, total: 0, from: [] });
+      const e = byId.get(n.id);
+      e.total += s;
+      e.from.push({ member: m, score: s });
+    });
+  });
+
+  const union = [...byId.values()].sort(
+    (a, b) => b.from.length - a.from.length || b.total - a.total
+  );
+  const shared = union.filter((e) => e.from.length === members.length);
+
+  const genres = countValues(members, "genres");
+  const gaps = LINEUPS.four.slots.filter(
+    (slot) => !members.some((m) => canFill(m, slot))
+  );
+
+  return {
+    union,
+    shared,
+    profile: {
+      instruments: countValues(members, "instruments"),
+      genres,
+      roles: countValues(members, "roles"),
+      commonGenres: genres
+        .filter((g) => g.count === members.length)
+        .map((g) => g.value),
+      gaps,
+    },
+  };
+}
@@ -0,0 +1,240 @@
+import { useEffect, useState } from "react";
+import { normalizeDataset } from "./dataset";
+import { SCORE_FIELDS, shownCollabStatus } from "./similarity";
+
+/* =========================================================
+   TERM HISTORY
+   - Past surveys are kept as dated snapshots of raw records
+     (data.json shape) in this browser; the live roster is
+     always the latest term ("Now"), dated by its survey
+   - Students are matched across terms by id, then by name,
+     and only when their year moved on by the number of
+     Septembers between the two surveys (Y8 -> Y9 is the same
+     person a year later, not a new one)
+   - Matched students carry their current id into every past
+     term, so the constellation can tween between terms
+   - Per-student diffs: instruments learned, genres dropped...
+   ========================================================= */
+
+const STORAGE_KEY = "bmsmusic.terms";
+
+export const NOW_ID = "now";
+
+function loadTerms() {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(saved) ? saved.filter((t) => Array.isArray(t?.records)) : [];
+  } catch {
+    return [];
+  }
+}
+
+function byDate(a, b) {
+  return String(a.date).localeCompare(String(b.date));
+}
+
+export function todayISO() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+// "2025-10-03" -> "Autumn 2025"
+export function termLabel(date) {
+  const d = new Date(`${date}T00:00:00`);
+  if (Number.isNaN(d.getTime())) return String(date ?? "");
+  const m = d.getMonth();
+  const season = m >= 8 ? "Autumn" : m >= 3 && m <= 7 ? "Summer" : "Spring";
+  return `${season} ${d.getFullYear()}`;
+}
+
+export function useTerms() {
+  const [terms, setTerms] = useState(loadTerms);
+
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(STORAGE_KEY, JSON.stringify(terms));
+    } catch {
+      // storage full or disabled: terms last for this session only
+    }
+  }, [terms]);
+
+  const addTerm = ({ date, label, records }) =>
+    setTerms((prev) =>
+      [
+        ...prev,
+        { id: `t-${Date.now()}`, date, label: label || termLabel(date), records },
+      ].sort(byDate)
+    );
+
+  const removeTerm = (id) => setTerms((prev) => prev.filter((t) => t.id !== id));
+
+  return { terms, addTerm, removeTerm };
+}
+
+/* ---------- matching students across terms ---------- */
+
+function nameKey(name) {
+  return String(name ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+function firstName(name) {
+  return nameKey(name).split(" ")[0] ?? "";
+}
+
+// 1 Sept boundaries crossed between two ISO dates; null if either is unknown
+export function academicYearsBetween(from, to) {
+  const a = new Date(`${from}T00:00:00`);
+  const b = new Date(`${to}T00:00:00`);
+  if (Number.isNaN(a.getTime()) || Number.isNaN(b.getTime())) return null;
+  const schoolYear = (d) => d.getFullYear() - (d.getMonth() < 8 ? 1 : 0);
+  return schoolYear(b) - schoolYear(a);
+}
+
+function yearFits(before, after, gap) {
+  if (before.year == null || after.year == null) return true;
+  const moved = after.year - before.year;
+  return gap == null ? moved === 0 || moved === 1 : moved === gap;
+}
+
+function namesAgree(a, b) {
+  return nameKey(a.name) === nameKey(b.name) || firstName(a.name) === firstName(b.name);
+}
+
+// For each node of `later`, the node of `earlier` it continues (or none).
+function matchTerms(earlier, later, gap) {
+  const taken = new Set();
+  const out = new Map(); // later id -> earlier node
+  const claim = (node, prev) => {
+    out.set(node.id, prev);
+    taken.add(prev.id);
+  };
+  const free = (pred) => earlier.filter((p) => !taken.has(p.id) && pred(p));
+
+  // same id, plausible name and year
+  later.forEach((d) => {
+    const [p] = free((p) => p.id === d.id && namesAgree(p, d) && yearFits(p, d, gap));
+    if (p) claim(d, p);
+  });
+  // same full name, year moved on as expected
+  later.forEach((d) => {
+    if (out.has(d.id)) return;
+    const hits = free((p) => nameKey(p.name) === nameKey(d.name) && yearFits(p, d, gap));
+    if (hits.length === 1) claim(d, hits[0]);
+  });
+  // same first name, only when unambiguous
+  later.forEach((d) => {
+    if (out.has(d.id)) return;
+    const hits = free((p) => firstName(p.name) === firstName(d.name) && yearFits(p, d, gap));
+    if (hits.length === 1) claim(d, hits[0]);
+  });
+  return out;
+}
+
+// snapshots: [{ id, label, date, nodes }] oldest first, last = current roster.
+// Returns the snapshots with every node re-keyed to its person id: the id it
+// has in the latest term it appears in.
+export function linkTerms(snapshots) {
+  const n = snapshots.length;
+  const personIds = snapshots.map(() => new Map()); // node id -> person id
+
+  for (let t = n - 1; t >= 0; t--) {
+    const cur = snapshots[t];
+    cur.nodes.forEach((d) => {
+      if (!personIds[t].has(d.id)) {
+        personIds[t].set(d.id, t === n - 1 ? d.id : `${cur.id}:${d.id}`);
+      }
+    });
+    if (t === 0) break;
+    const prev = snapshots[t - 1];
+    const gap = academicYearsBetween(prev.date, cur.date);
+    const matched = matchTerms(prev.nodes, cur.nodes, gap);
+    matched.forEach((p, laterId) => personIds[t - 1].set(p.id, personIds[t].get(laterId)));
+  }
+
+  return snapshots.map((s, t) => ({
+    ...s,
+    nodes: s.nodes.map((d) => {
+      const id = personIds[t].get(d.id);
+      return id === d.id ? d : { ...d, id, termId: d.id };
+    }),
+  }));
+}
+
+// person id -> [{ term index, node }]
+function peopleOf(terms) {
+  const people = new Map();
+  terms.forEach((term, t) =>
+    term.nodes.forEach((node) => {
+      if (!people.has(node.id)) people.set(node.id, []);
+      people.get(node.id).push({ term: t, node });
+    })
+  );
+  return people;
+}
+
+// Saved terms + the live roster (normalised), linked.
+// opts.date: when the live roster was surveyed. Unknown (null) means the
+//   gap to the last saved term is too, so a year may stay or move up one.
+// opts.prepare: runs on each term's nodes after linking -- the privacy
+//   rules, so past terms are redacted exactly like the current one.
+export function buildHistory(savedTerms, current, opts = {}) {
+  const prepare = opts.prepare ?? ((nodes) => nodes);
+  const snapshots = [
+    ...savedTerms.map((t) => ({
+      id: t.id,
+      label: t.label,
+      date: t.date,
+      nodes: normalizeDataset(t.records),
+    })),
+    { id: NOW_ID, label: "Now", date: opts.date ?? null, nodes: current },
+  ];
+  const terms = linkTerms(snapshots).map((t) => ({ ...t, nodes: prepare(t.nodes) }));
+  return { terms, people: peopleOf(terms) };
+}
+
+/* ---------- what changed ---------- */
+
+const DIFF_FIELDS = SCORE_FIELDS.filter((f) => f.key !== "complement");
+
+function lowerSet(arr) {
+  return new Set((arr || []).map((x) => String(x).toLowerCase()));
+}
+
+// { year: [before, after] | null, collab: [..] | null, fields: [{ key, label, added, removed }] }
+export function diffProfiles(before, after) {
+  const fields = DIFF_FIELDS.map(({ key, label }) => {
+    const was = lowerSet(before[key]);
+    const now = lowerSet(after[key]);
+    return {
+      key,
+      label,
+      added: (after[key] || []).filter((v) => !was.has(String(v).toLowerCase())),
+      removed: (before[key] || []).filter((v) => !now.has(String(v).toLowerCase())),
+    };
+  }).filter((f) => f.added.length || f.removed.length);
+  const statusBefore = shownCollabStatus(before);
+  const statusAfter = shownCollabStatus(after);
+  return {
+    year: before.year !== after.year ? [before.year, after.year] : null,
+    collab: statusBefore !== statusAfter ? [statusBefore, statusAfter] : null,
+    fields,
+  };
+}
+
+export function isEmptyDiff(diff) {
+  return !diff.year && !diff.collab && diff.fields.length === 0;
+}
+
+// One person's terms, oldest first, each with the diff from the one before
+export function personTimeline(history, personId) {
+  const seen = history.people.get(personId) ?? [];
+  return seen.map(({ term, node }, i) => ({
+    term: history.terms[term],
+    node,
+    diff: i > 0 ? diffProfiles(seen[i - 1].node, node) : null,
+  }));
+}
@@ -0,0 +1,120 @@
+import { normalizeDataset } from "./dataset";
+import { academicYearsBetween, buildHistory, linkTerms, personTimeline } from "./history";
+
+const student = (id, name, year, instruments = "guitar") => ({
+  id,
+  name,
+  year,
+  instruments,
+});
+
+describe("academicYearsBetween", () => {
+  it("counts the Septembers crossed", () => {
+    expect(academicYearsBetween("2025-10-01", "2026-06-30")).toBe(0);
+    expect(academicYearsBetween("2025-06-30", "2025-09-01")).toBe(1);
+    expect(academicYearsBetween("2025-10-01", "2026-10-01")).toBe(1);
+    expect(academicYearsBetween("2024-03-01", "2026-10-01")).toBe(3);
+  });
+
+  it("is null when a date is missing or invalid", () => {
+    expect(academicYearsBetween("2025-10-01", null)).toBeNull();
+    expect(academicYearsBetween("autumn", "2026-10-01")).toBeNull();
+  });
+});
+
+describe("linkTerms", () => {
+  const term = (id, date, nodes) => ({ id, label: id, date, nodes });
+
+  it("follows a Y8 into Y9 when the ids were re-issued", () => {
+    const [past, now] = linkTerms([
+      term("t1", "2025-10-01", [
+        { id: "s-01", name: "Ana Silva", year: 8 },
+        { id: "s-02", name: "Ben Okafor", year: 8 },
+      ]),
+      term("now", "2026-10-01", [
+        { id: "s-01", name: "Zoe New", year: 7 },
+        { id: "s-07", name: "Ana Silva", year: 9 },
+        { id: "s-08", name: "Ben Okafor", year: 9 },
+      ]),
+    ]);
+    expect(now.nodes.map((d) => d.id)).toEqual(["s-01", "s-07", "s-08"]);
+    expect(past.nodes).toMatchObject([
+      { id: "s-07", termId: "s-01" },
+      { id: "s-08", termId: "s-02" },
+    ]);
+  });
+
+  it("does not merge a new student who reuses a name", () => {
+    const [past, now] = linkTerms([
+      term("t1", "2025-10-01", [{ id: "s-01", name: "Sam Lee", year: 8 }]),
+      term("now", "2026-10-01", [
+        { id: "s-05", name: "Sam Lee", year: 9 },
+        { id: "s-09", name: "Sam Lee", year: 8 },
+      ]),
+    ]);
+    expect(past.nodes[0]).toMatchObject({ id: "s-05", termId: "s-01" });
+    expect(now.nodes[1].id).toBe("s-09");
+  });
+
+  it("does not link a student whose year did not move on", () => {
+    const [past] = linkTerms([
+      term("t1", "2025-10-01", [{ id: "s-01", name: "Sam Lee", year: 8 }]),
+      term("now", "2026-10-01", [{ id: "s-01", name: "Sam Lee", year: 8 }]),
+    ]);
+    expect(past.nodes[0].id).toBe("t1:s-01");
+  });
+
+  it("lets a year stay or move up one when the gap is unknown", () => {
+    const [past] = linkTerms([
+      term("t1", "2025-10-01", [
+        { id: "a", name: "Ana Silva", year: 8 },
+        { id: "b", name: "Ben Okafor", year: 8 },
+      ]),
+      term("now", null, [
+        { id: "x", name: "Ana Silva", year: 8 },
+        { id: "y", name: "Ben Okafor", year: 9 },
+      ]),
+    ]);
+    expect(past.nodes.map((d) => d.id)).toEqual(["x", "y"]);
+  });
+});
+
+describe("buildHistory", () => {
+  it("links a snapshot to the survey loaded after it", () => {
+    // Snapshot roster (surveyed 2025-10-01), then this year's survey with new ids
+    const lastYear = [student("s-01", "Ana Silva", "year 8", "guitar")];
+    const thisYear = [student("s-12", "Ana Silva", "year 9", "guitar, drums")];
+    const history = buildHistory(
+      [{ id: "t-1", label: "Autumn 2025", date: "2025-10-01", records: lastYear }],
+      normalizeDataset(thisYear),
+      { date: "2026-10-02" }
+    );
+    expect(history.terms.map((t) => t.date)).toEqual(["2025-10-01", "2026-10-02"]);
+
+    const timeline = personTimeline(history, "s-12");
+    expect(timeline).toHaveLength(2);
+    expect(timeline[1].diff.year).toEqual([8, 9]);
+    expect(timeline[1].diff.fields).toEqual([
+      { key: "instruments", label: "Instruments", added: ["drums"], removed: [] },
+    ]);
+  });
+
+  it("runs prepare on every term after linking", () => {
+    const history = buildHistory(
+      [
+        {
+          id: "t-1",
+          label: "Autumn 2025",
+          date: "2025-10-01",
+          records: [student("s-01", "Ana", 8)],
+        },
+      ],
+      normalizeDataset([student("s-02", "Ana", 9)]),
+      { date: "2026-10-01", prepare: (nodes) => nodes.map((d) => ({ ...d, name: "hidden" })) }
+    );
+    expect(history.terms[0].nodes).toEqual([
+      expect.objectContaining({ id: "s-02", name: "hidden" }),
+    ]);
+    expect(history.terms[1].nodes[0].name).toBe("hidden");
+  });
+});
@@ -0,0 +1,106 @@
+import { yearToNumber } from "./dataset";
+
+/* =========================================================
+   SURVEY IMPORT
+   - Column mapping from a form export header to profile fields
+   - Header guesses match typical question wording
+   - Rows -> records in the data.json shape, plus per-row problems
+   ========================================================= */
+
+export const IMPORT_FIELDS = [
+  { key: "name", label: "Name", hints: [/\bname\b/, /\bwho are you\b/] },
+  { key: "year", label: "Year", hints: [/\byear\b/, /\bgrade\b/, /\bform\b/] },
+  {
+    key: "collab",
+    label: "Collab",
+    hints: [/collab/, /work with/, /play with others/, /join a band/, /together/],
+  },
+  { key: "instruments", label: "Instruments", hints: [/instrument/, /\bplay\b/] },
+  { key: "genres", label: "Genres", hints: [/genre/, /\bstyles?\b/] },
+  {
+    key: "artists",
+    label: "Artists",
+    hints: [/artist/, /\bbands?\b/, /musician/, /listen/],
+  },
+  { key: "roles", label: "Roles", hints: [/\broles?\b/, /singer|songwriter/] },
+  {
+    key: "geek",
+    label: "Geek",
+    hints: [/geek/, /interest/, /hobb/, /outside (of )?music/],
+  },
+  { key: "consent", label: "Consent", hints: [/consent/, /permission/, /\bshare\b/] },
+];
+
+const LIST_FIELDS = new Set(["instruments", "genres", "artists", "roles", "geek"]);
+
+// field key -> column index (or -1 when unmapped); each column used once
+export function guessColumnMapping(header) {
+  const used = new Set();
+  const mapping = {};
+  const cols = (header || []).map((h) => String(h).toLowerCase());
+
+  IMPORT_FIELDS.forEach((f) => {
+    let idx = -1;
+    for (const re of f.hints) {
+      idx = cols.findIndex((h, i) => !used.has(i) && re.test(h));
+      if (idx !== -1) break;
+    }
+    if (idx !== -1) used.add(idx);
+    mapping[f.key] = idx;
+  });
+
+  return mapping;
+}
+
+// Microsoft Forms joins multi-choice answers with ";" where Google uses ","
+function listCell(v) {
+  return String(v ?? "")
+    .split(/[;,]/)
+    .map((x) => x.trim())
+    .filter(Boolean)
+    .join(",");
+}
+
+export function rowsToRecords(rows, mapping) {
+  const [, ...body] = rows || [];
+  const records = [];
+  const problems = [];
+
+  const cell = (row, key) => {
+    const idx = mapping[key];
+    return idx == null || idx < 0 ? "" : String(row[idx] ?? "").trim();
+  };
+
+  body.forEach((row, i) => {
+    const line = i + 2; // spreadsheet row number, header is row 1
+    const name = cell(row, "name");
+    const year = cell(row, "year");
+
+    if (!name) {
+      problems.push({ line, reason: "missing name" });
+      return;
+    }
+    if (mapping.year >= 0 && yearToNumber(year) == null) {
+      problems.push({
+        line,
+        name,
+        reason: year ? `unrecognised year "${year}"` : "missing year",
+      });
+      return;
+    }
+
+    const rec = {
+      id: `s-${String(records.length + 1).padStart(2, "0")}`,
+      name,
+      year,
+    };
+    IMPORT_FIELDS.forEach((f) => {
+      if (f.key === "name" || f.key === "year") return;
+      const v = cell(row, f.key);
+      rec[f.key] = LIST_FIELDS.has(f.key) ? listCell(v).toLowerCase() : v.toLowerCase();
+    });
+    records.push(rec);
+  });
+
+  return { records, problems };
+}
@@ -0,0 +1,73 @@
+import { guessColumnMapping, rowsToRecords } from "./importer";
+
+const HEADER = [
+  "Timestamp",
+  "What is your name?",
+  "Which year are you in?",
+  "Which instruments do you play?",
+  "Favourite genres",
+  "Artists you listen to",
+  "Would you like to collaborate?",
+  "Interests outside music",
+];
+
+describe("guessColumnMapping", () => {
+  it("maps typical form questions to fields", () => {
+    const m = guessColumnMapping(HEADER);
+    expect(m).toMatchObject({
+      name: 1,
+      year: 2,
+      instruments: 3,
+      genres: 4,
+      artists: 5,
+      collab: 6,
+      geek: 7,
+      roles: -1,
+      consent: -1,
+    });
+  });
+
+  it("uses each column once", () => {
+    const m = guessColumnMapping(["Name", "Band name"]);
+    expect(m.name).toBe(0);
+    expect(m.artists).toBe(1);
+  });
+});
+
+describe("rowsToRecords", () => {
+  const mapping = guessColumnMapping(HEADER);
+
+  it("builds data.json records with list cells joined by commas", () => {
+    const { records, problems } = rowsToRecords(
+      [HEADER, ["t", "Ana", "Year 8", "Piano; Voice", "Pop, Jazz", "Adele", "Yes", "Chess"]],
+      mapping
+    );
+    expect(problems).toEqual([]);
+    expect(records).toEqual([
+      {
+        id: "s-01",
+        name: "Ana",
+        year: "Year 8",
+        instruments: "piano,voice",
+        genres: "pop,jazz",
+        artists: "adele",
+        collab: "yes",
+        geek: "chess",
+        roles: "",
+        consent: "",
+      },
+    ]);
+  });
+
+  it("skips rows without a name or a readable year and reports them", () => {
+    const { records, problems } = rowsToRecords(
+      [HEADER, ["t", "", "Y8"], ["t", "Ben", "sometime"], ["t", "Cara", "Y9"]],
+      mapping
+    );
+    expect(records.map((r) => r.name)).toEqual(["Cara"]);
+    expect(problems).toEqual([
+      { line: 2, reason: "missing name" },
+      { line: 3, name: "Ben", reason: 'unrecognised year "sometime"' },
+    ]);
+  });
+});
@@ -1,13 +1,42 @@
-import { StrictMode } from "react";
+import { StrictMode, useState } from "react";
 import { createRoot } from "react-dom/client";
 
 import App from "./App";
+import LoginView from "./LoginView";
+import Questionnaire from "./Questionnaire";
+import StudentView from "./StudentView";
+import { isTeacherSession, signOutTeacher } from "./auth";
+import { useRoute } from "./router";
+import { usePalette } from "./theme";
+import "./styles.css";
+
+function Root() {
+  const route = useRoute();
+  const [teacher, setTeacher] = useState(isTeacherSession);
+  // every route follows the palette; only the teacher view switches it
+  const theme = usePalette();
+
+  if (route.name === "survey") return <Questionnaire />;
+  if (route.name === "student") {
+    return <StudentView key={route.id} id={route.id} token={route.token} />;
+  }
+  if (!teacher) return <LoginView onSignedIn={() => setTeacher(true)} />;
+  return (
+    <App
+      theme={theme}
+      onSignOut={() => {
+        signOutTeacher();
+        setTeacher(false);
+      }}
+    />
+  );
+}
 
 const rootElement = document.getElementById("root");
 const root = createRoot(rootElement);
 
 root.render(
   <StrictMode>
-    <App />
+    <Root />
   </StrictMode>
 );
@@ -0,0 +1,455 @@
+import { useEffect, useRef, useState } from "react";
+import { knnEdges, weightsKey } from "./similarity";
+
+/* =========================================================
+   LAYOUTS
+   - years:      symmetrical year-group constellations (default)
+   - force:      force-directed, springs along each student's
+                 top matches under the current mode
+   - genre / instrument: radial wheel, one sector per primary value
+   - matrix:     students on the diagonal of a pairwise heatmap
+   - scatter:    seeded cloud around the centre (nodebox look)
+   Every layout returns { nodes (with cx, cy), groups (labels) };
+   usePositionTween animates between them.
+   ========================================================= */
+
+export const LAYOUTS = [
+  { id: "years", label: "Year rings" },
+  { id: "force", label: "Force" },
+  { id: "genre", label: "Genre wheel" },
+  { id: "instrument", label: "Instrument wheel" },
+  { id: "matrix", label: "Matrix" },
+  { id: "scatter", label: "Scatter" },
+];
+
+function clamp(n, a, b) {
+  return Math.max(a, Math.min(b, n));
+}
+
+export function hashSeed(str) {
+  let h = 2166136261;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+}
+
+export function mulberry32(seed) {
+  let t = seed >>> 0;
+  return function () {
+    t += 0x6d2b79f5;
+    let r = Math.imul(t ^ (t >>> 15), 1 | t);
+    r ^= r + Math.imul(r ^ (r >>> 7), 61 | r);
+    return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function yearLabel(y) {
+  if (y == null || y === 99) return "";
+  return `Year ${y}`;
+}
+
+function byYearThenName(a, b) {
+  return (a.year ?? 99) - (b.year ?? 99) || String(a.name).localeCompare(String(b.name));
+}
+
+/* ---------- symmetrical constellation layout ---------- */
+
+function computeConstellationPositions(data, W, H) {
+  const cx = W / 2;
+  const cy = H / 2;
+
+  const margin = 28;
+  const outerR = Math.max(0, Math.min(W, H) / 2 - margin);
+
+  const byYear = new Map();
+  for (const d of data) {
+    const y = d.year ?? 99;
+    if (!byYear.has(y)) byYear.set(y, []);
+    byYear.get(y).push(d);
+  }
+
+  const years = [...byYear.keys()].sort((a, b) => a - b);
+  const groupCount = Math.max(1, years.length);
+
+  // group centers around a ring (slightly elliptical to fit screens nicely)
+  const groupRingRx = outerR * 0.66;
+  const groupRingRy = outerR * 0.5;
+
+  const localR = clamp(outerR * 0.18, 22, 110);
+  const offset = -Math.PI / 2;
+
+  const nodes = [];
+  const groups = [];
+
+  years.forEach((y, gi) => {
+    const group = byYear.get(y) || [];
+    const ga = offset + (gi / groupCount) * Math.PI * 2;
+
+    const gcx = cx + Math.cos(ga) * groupRingRx;
+    const gcy = cy + Math.sin(ga) * groupRingRy;
+
+    // label placed toward center of canvas for navigation clarity
+    const labelX = cx + (gcx - cx) * 0.55;
+    const labelY = cy + (gcy - cy) * 0.55;
+
+    groups.push({ key: `y-${y}`, year: y, label: yearLabel(y), gcx, gcy, labelX, labelY });
+
+    const sorted = [...group].sort((a, b) =>
+      String(a.name).localeCompare(String(b.name))
+    );
+
+    const count = sorted.length;
+    const ringR = count <= 1 ? 0 : count === 2 ? localR * 0.45 : localR * 0.86;
+
+    const localOffset = ga - Math.PI / 2;
+
+    sorted.forEach((d, i) => {
+      const a =
+        count <= 1
+          ? localOffset
+          : localOffset + (i / count) * Math.PI * 2;
+
+      nodes.push({
+        ...d,
+        cx: gcx + Math.cos(a) * ringR,
+        cy: gcy + Math.sin(a) * ringR,
+      });
+    });
+  });
+
+  return { nodes, groups };
+}
+
+/* ---------- seeded scatter ---------- */
+
+// Each student lands at the same spot for the same id: denser towards
+// the middle, slightly flattened to fit landscape screens.
+function computeScatterPositions(data, W, H) {
+  const cx = W / 2;
+  const cy = H / 2;
+  const spreadX = Math.max(140, W * 0.36);
+  const spreadY = Math.max(120, H * 0.28);
+
+  const nodes = data.map((d) => {
+    const rnd = mulberry32(hashSeed(String(d.id)));
+    const r = Math.pow(rnd(), 0.62);
+    const a = rnd() * Math.PI * 2;
+    const jx = (rnd() * 2 - 1) * 18;
+    const jy = (rnd() * 2 - 1) * 14;
+    return {
+      ...d,
+      cx: clamp(cx + Math.cos(a) * r * spreadX + jx, 26, W - 26),
+      cy: clamp(cy + Math.sin(a) * r * spreadY + jy, 26, H - 26),
+    };
+  });
+  return { nodes, groups: [] };
+}
+
+/* ---------- force-directed ---------- */
+
+// roster array -> Map(weights key -> settled points). The simulation runs in
+// its own square frame, so resizing the window only refits the result.
+const FORCE_CACHE = new WeakMap();
+
+// Fruchterman-Reingold with attraction scaled by similarity; seeded start
+// so the same roster always settles the same way. Repulsion only reaches
+// 2k (the grid variant from the paper), so each step is O(n) rather than
+// O(n^2), and big rosters take fewer, cheaper steps.
+function simulateForce(data, weights) {
+  const n = data.length;
+  const side = Math.sqrt(n) * 40;
+  const pts = data.map((d) => {
+    const rnd = mulberry32(hashSeed(String(d.id)));
+    return { x: (rnd() - 0.5) * side * 0.5, y: (rnd() - 0.5) * side * 0.5, dx: 0, dy: 0 };
+  });
+
+  const index = new Map(data.map((d, i) => [d.id, i]));
+  const edges = knnEdges(data, weights, 5);
+  const maxW = edges.reduce((m, e) => Math.max(m, e.weight), 0) || 1;
+
+  const k = (side / Math.sqrt(n)) * 0.75;
+  const reach = 2 * k;
+  const iterations = Math.round(clamp(60000 / n, 100, 300));
+  let temp = side / 6;
+  const cooling = Math.pow(0.011, 1 / iterations); // same end temperature as 300 x 0.985
+
+  const repel = (a, b) => {
+    const dx = a.x - b.x;
+    const dy = a.y - b.y;
+    const d2 = Math.max(dx * dx + dy * dy, 0.01);
+    if (d2 > reach * reach) return;
+    const f = (k * k) / d2;
+    a.dx += dx * f;
+    a.dy += dy * f;
+    b.dx -= dx * f;
+    b.dy -= dy * f;
+  };
+
+  for (let it = 0; it < iterations; it++) {
+    const grid = new Map();
+    pts.forEach((p) => {
+      p.dx = 0;
+      p.dy = 0;
+      const key = `${Math.floor(p.x / reach)},${Math.floor(p.y / reach)}`;
+      if (!grid.has(key)) grid.set(key, []);
+      grid.get(key).push(p);
+    });
+
+    // each cell against itself and four neighbours, so every pair once
+    grid.forEach((cell, key) => {
+      const [gx, gy] = key.split(",").map(Number);
+      for (let i = 0; i < cell.length; i++) {
+        for (let j = i + 1; j < cell.length; j++) repel(cell[i], cell[j]);
+      }
+      [
+        [1, 0],
+        [-1, 1],
+        [0, 1],
+        [1, 1],
+      ].forEach(([ox, oy]) => {
+        const other = grid.get(`${gx + ox},${gy + oy}`);
+        if (!other) return;
+        for (const a of cell) for (const b of other) repel(a, b);
+      });
+    });
+
+    edges.forEach((e) => {
+      const a = pts[index.get(e.source)];
+      const b = pts[index.get(e.target)];
+      const dx = a.x - b.x;
+      const dy = a.y - b.y;
+      const d = Math.sqrt(dx * dx + dy * dy) || 0.01;
+      const f = (d / k) * (0.3 + e.weight / maxW);
+      a.dx -= dx * f;
+      a.dy -= dy * f;
+      b.dx += dx * f;
+      b.dy += dy * f;
+    });
+
+    for (const p of pts) {
+      // gentle pull to the middle keeps unlinked students on screen
+      p.dx -= p.x * 0.02;
+      p.dy -= p.y * 0.02;
+      const d = Math.sqrt(p.dx * p.dx + p.dy * p.dy) || 1;
+      const step = Math.min(d, temp);
+      p.x += (p.dx / d) * step;
+      p.y += (p.dy / d) * step;
+    }
+
+    temp *= cooling;
+  }
+
+  return pts.map(({ x, y }) => ({ x, y }));
+}
+
+function forcePoints(data, weights) {
+  let byWeights = FORCE_CACHE.get(data);
+  if (!byWeights) {
+    byWeights = new Map();
+    FORCE_CACHE.set(data, byWeights);
+  }
+  const key = weightsKey(weights);
+  if (!byWeights.has(key)) byWeights.set(key, simulateForce(data, weights));
+  return byWeights.get(key);
+}
+
+function computeForcePositions(data, W, H, weights) {
+  const margin = 40;
+  const top = 72;
+  if (data.length === 0) return { nodes: [], groups: [] };
+  const pts = forcePoints(data, weights);
+
+  // fit to the screen below the control bar
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  pts.forEach((p) => {
+    minX = Math.min(minX, p.x);
+    minY = Math.min(minY, p.y);
+    maxX = Math.max(maxX, p.x);
+    maxY = Math.max(maxY, p.y);
+  });
+  const spanX = maxX - minX || 1;
+  const spanY = maxY - minY || 1;
+  const scale = Math.min((W - 2 * margin) / spanX, (H - top - margin) / spanY);
+  const offX = (W - spanX * scale) / 2;
+  const offY = top + (H - top - margin - spanY * scale) / 2;
+
+  return {
+    nodes: data.map((d, i) => ({
+      ...d,
+      cx: offX + (pts[i].x - minX) * scale,
+      cy: offY + (pts[i].y - minY) * scale,
+    })),
+    groups: [],
+  };
+}
+
+/* ---------- radial wheel ---------- */
+
+// A student's primary value is the one fewest others share: forms list
+// options in a fixed order, so "first listed" would put nearly everyone
+// under "pop".
+function primaryValues(data, key) {
+  const freq = new Map();
+  data.forEach((d) =>
+    (d[key] || []).forEach((v) => {
+      const k = String(v).toLowerCase();
+      freq.set(k, (freq.get(k) ?? 0) + 1);
+    })
+  );
+  return new Map(
+    data.map((d) => {
+      let best = "none";
+      (d[key] || []).forEach((v) => {
+        const k = String(v).toLowerCase();
+        if (best === "none" || freq.get(k) < freq.get(best)) best = k;
+      });
+      return [d.id, best];
+    })
+  );
+}
+
+// One sector per primary value, sized by how many students fall in it;
+// members fan out over up to three arcs.
+function computeWheelPositions(data, W, H, key) {
+  const cx = W / 2;
+  const cy = H / 2 + 20;
+  const R = Math.max(40, Math.min(W, H - 40) / 2 - 36);
+
+  const primary = primaryValues(data, key);
+  const byValue = new Map();
+  data.forEach((d) => {
+    const v = primary.get(d.id);
+    if (!byValue.has(v)) byValue.set(v, []);
+    byValue.get(v).push(d);
+  });
+  const values = [...byValue.keys()].sort(
+    (a, b) => byValue.get(b).length - byValue.get(a).length || a.localeCompare(b)
+  );
+
+  const total = Math.max(1, data.length);
+  const nodes = [];
+  const groups = [];
+  let angle = -Math.PI / 2;
+
+  values.forEach((v) => {
+    const members = byValue.get(v).slice().sort(byYearThenName);
+    const span = (members.length / total) * Math.PI * 2;
+    const a0 = angle;
+    angle += span;
+
+    const rings = members.length > 12 ? 3 : members.length > 5 ? 2 : 1;
+    const perRing = Math.ceil(members.length / rings);
+    members.forEach((d, i) => {
+      const ring = i % rings;
+      const slot = Math.floor(i / rings);
+      const a = a0 + ((slot + 0.5) / perRing) * span;
+      const r = R * (0.92 - ring * 0.18);
+      nodes.push({ ...d, cx: cx + Math.cos(a) * r, cy: cy + Math.sin(a) * r });
+    });
+
+    const mid = a0 + span / 2;
+    groups.push({
+      key: `w-${v}`,
+      label: v,
+      labelX: cx + Math.cos(mid) * R * 0.3,
+      labelY: cy + Math.sin(mid) * R * 0.3,
+    });
+  });
+
+  return { nodes, groups };
+}
+
+/* ---------- matrix ---------- */
+
+// Students sit on the diagonal of an n×n grid; the grid itself (scores) is
+// drawn by the caller from `matrix`.
+function computeMatrixPositions(data, W, H, clusterOf) {
+  const order = data.slice().sort((a, b) => {
+    const ca = clusterOf?.get(a.id)?.id ?? 0;
+    const cb = clusterOf?.get(b.id)?.id ?? 0;
+    return ca - cb || byYearThenName(a, b);
+  });
+
+  const n = Math.max(1, order.length);
+  const top = 72;
+  const labelW = 96;
+  const size = Math.max(40, Math.min(W - labelW - 20, H - top - 20));
+  const cell = size / n;
+  const x0 = labelW + (W - labelW - 20 - size) / 2;
+
+  return {
+    nodes: order.map((d, i) => ({
+      ...d,
+      cx: x0 + (i + 0.5) * cell,
+      cy: top + (i + 0.5) * cell,
+    })),
+    groups: [],
+    matrix: { x0, y0: top, cell, order },
+  };
+}
+
+/* ---------- entry ---------- */
+
+export function computeLayout(kind, data, W, H, opts = {}) {
+  if (kind === "force") return computeForcePositions(data, W, H, opts.weights);
+  if (kind === "genre") return computeWheelPositions(data, W, H, "genres");
+  if (kind === "instrument") return computeWheelPositions(data, W, H, "instruments");
+  if (kind === "matrix") return computeMatrixPositions(data, W, H, opts.clusterOf);
+  if (kind === "scatter") return computeScatterPositions(data, W, H);
+  return computeConstellationPositions(data, W, H);
+}
+
+/* ---------- animated positions ---------- */
+
+function positionsOf(nodes) {
+  return new Map(nodes.map((n) => [n.id, { x: n.cx, y: n.cy }]));
+}
+
+function easeInOut(t) {
+  return t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;
+}
+
+// id -> {x, y}, easing from wherever each node was drawn last to its new
+// layout position. Nodes that just appeared start at their target.
+export function usePositionTween(nodes, duration = 600) {
+  const [pos, setPos] = useState(() => positionsOf(nodes));
+  const current = useRef(pos);
+
+  useEffect(() => {
+    const from = current.current;
+    const to = positionsOf(nodes);
+    const moves = [...to].some(([id, p]) => {
+      const f = from.get(id);
+      return !f || f.x !== p.x || f.y !== p.y;
+    });
+    if (!moves || duration <= 0) {
+      current.current = to;
+      setPos(to);
+      return;
+    }
+
+    let raf = 0;
+    const t0 = performance.now();
+    const step = (now) => {
+      const t = Math.min(1, (now - t0) / duration);
+      const e = easeInOut(t);
+      const next = new Map();
+      to.forEach((p, id) => {
+        const f = from.get(id) ?? p;
+        next.set(id, { x: f.x + (p.x - f.x) * e, y: f.y + (p.y - f.y) * e });
+      });
+      current.current = next;
+      setPos(next);
+      if (t < 1) raf = requestAnimationFrame(step);
+    };
+    raf = requestAnimationFrame(step);
+    return () => cancelAnimationFrame(raf);
+  }, [nodes, duration]);
+
+  return pos;
+}
@@ -0,0 +1,194 @@
+import { useEffect, useMemo, useState } from "react";
+import { consentFlag, toArrayLoose } from "./dataset";
+import { collabStatus } from "./similarity";
+
+/* =========================================================
+   PRIVACY
+   - Names: full / initials / generated aliases (stable per id)
+   - Hidden fields are blanked before scoring, so they can't
+     leak through match explanations, exports or search.
+     Collab willingness is the exception: it is kept as
+     `willing` so not-right-now rules still apply
+   - Consent: everyone / drop explicit "no" / only explicit "yes"
+   Applied once, straight after normalizeDataset; everything
+   downstream only ever sees the redacted nodes.
+   - Student routes (/student, /survey) run on students' own
+     devices, so they use STUDENT_PRIVACY from the build,
+     tightened further by the device's settings if stricter
+   ========================================================= */
+
+const STORAGE_KEY = "bmsmusic.privacy";
+
+export const PRIVACY_DEFAULTS = {
+  names: "full", // full | initials | alias
+  hidden: [], // field keys
+  consent: "all", // all | not-refused | consented
+};
+
+// What students see of each other. Edit here, not per device.
+export const STUDENT_PRIVACY = {
+  names: "full",
+  hidden: ["geek", "collab"],
+  consent: "not-refused",
+};
+
+export const NAME_MODES = [
+  { id: "full", label: "Names" },
+  { id: "initials", label: "Initials" },
+  { id: "alias", label: "Aliases" },
+];
+
+export const HIDEABLE_FIELDS = [
+  { key: "geek", label: "Geek" },
+  { key: "collab", label: "Collab" },
+  { key: "artists", label: "Artists" },
+  { key: "roles", label: "Roles" },
+];
+
+export const CONSENT_MODES = [
+  { id: "all", label: "Everyone" },
+  { id: "not-refused", label: "Hide refusals" },
+  { id: "consented", label: "Consented only" },
+];
+
+const ADJECTIVES = [
+  "Amber", "Azure", "Bright", "Cosmic", "Crimson", "Electric", "Golden", "Hidden",
+  "Jade", "Lunar", "Midnight", "Neon", "Quiet", "Silver", "Solar", "Velvet",
+];
+const NOUNS = [
+  "Comet", "Echo", "Falcon", "Fox", "Harbor", "Lynx", "Meteor", "Nova",
+  "Otter", "Pulse", "Raven", "Reef", "Sparrow", "Tempo", "Tide", "Wolf",
+];
+
+function hashString(str) {
+  let h = 2166136261;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+}
+
+function consentAllows(flag, mode) {
+  if (mode === "consented") return flag === true;
+  if (mode === "not-refused") return flag !== false;
+  return true;
+}
+
+function initials(name) {
+  return (
+    String(name ?? "")
+      .split(/\s+/)
+      .filter(Boolean)
+      .map((w) => `${w[0].toUpperCase()}.`)
+      .join("") || "?"
+  );
+}
+
+// id -> alias, unique within the list. Clashes are numbered in id order, so
+// re-sorting the roster never swaps two students' aliases.
+function aliasMap(items) {
+  const used = new Map();
+  const out = new Map();
+  const byId = [...items].sort((a, b) => (String(a.id) < String(b.id) ? -1 : 1));
+  byId.forEach((d) => {
+    const h = hashString(String(d.id));
+    const base = `${ADJECTIVES[h % ADJECTIVES.length]} ${NOUNS[(h >>> 8) % NOUNS.length]}`;
+    const n = (used.get(base) ?? 0) + 1;
+    used.set(base, n);
+    out.set(d.id, n > 1 ? `${base} ${n}` : base);
+  });
+  return out;
+}
+
+function displayNames(items, mode) {
+  if (mode === "alias") return aliasMap(items);
+  if (mode === "initials") return new Map(items.map((d) => [d.id, initials(d.name)]));
+  return null;
+}
+
+const NAME_ORDER = ["full", "initials", "alias"];
+const CONSENT_ORDER = ["all", "not-refused", "consented"];
+
+// the stricter of two rule sets, field by field
+export function strictestPrivacy(a, b) {
+  const stricter = (order, x, y) => order[Math.max(order.indexOf(x), order.indexOf(y))];
+  return {
+    names: stricter(NAME_ORDER, a.names, b.names),
+    hidden: [...new Set([...a.hidden, ...b.hidden])],
+    consent: stricter(CONSENT_ORDER, a.consent, b.consent),
+  };
+}
+
+// privacy hook for the student-facing routes
+export function useStudentPrivacy() {
+  const [device] = usePrivacy();
+  return useMemo(() => strictestPrivacy(STUDENT_PRIVACY, device), [device]);
+}
+
+export function isPrivacyActive(p) {
+  return p.names !== "full" || p.hidden.length > 0 || p.consent !== "all";
+}
+
+export function applyPrivacy(nodes, p) {
+  if (!isPrivacyActive(p)) return nodes;
+  const kept = nodes.filter((d) => consentAllows(d.consent, p.consent));
+  const names = displayNames(nodes, p.names); // consent mode doesn't renumber aliases
+  return kept.map((d) => {
+    const out = { ...d, willing: collabStatus(d) };
+    if (names) out.name = names.get(d.id);
+    p.hidden.forEach((k) => {
+      out[k] = Array.isArray(d[k]) ? [] : "";
+    });
+    return out;
+  });
+}
+
+// Same rules on raw data.json records (roster export)
+export function redactRecords(records, p) {
+  if (!isPrivacyActive(p)) return records;
+  const kept = records.filter((r) => consentAllows(consentFlag(r.consent), p.consent));
+  const names = displayNames(records, p.names);
+  return kept.map((r) => {
+    const out = { ...r };
+    if (names) out.name = names.get(r.id);
+    p.hidden.forEach((k) => {
+      if (k in out) out[k] = "";
+    });
+    return out;
+  });
+}
+
+export function describePrivacy(p) {
+  const bits = [];
+  if (p.names !== "full") bits.push(NAME_MODES.find((m) => m.id === p.names)?.label);
+  if (p.hidden.length) bits.push(`hiding ${p.hidden.join(", ")}`);
+  if (p.consent !== "all") bits.push(CONSENT_MODES.find((m) => m.id === p.consent)?.label);
+  return bits.filter(Boolean).join(" · ");
+}
+
+function loadPrivacy() {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    if (!saved) return PRIVACY_DEFAULTS;
+    return {
+      ...PRIVACY_DEFAULTS,
+      ...saved,
+      hidden: toArrayLoose(saved.hidden),
+    };
+  } catch {
+    return PRIVACY_DEFAULTS;
+  }
+}
+
+export function usePrivacy() {
+  const [privacy, setPrivacy] = useState(loadPrivacy);
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(STORAGE_KEY, JSON.stringify(privacy));
+    } catch {
+      // private browsing: settings last for this session
+    }
+  }, [privacy]);
+  return [privacy, setPrivacy];
+}
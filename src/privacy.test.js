@@ -0,0 +1,90 @@
+import { normalizeDataset } from "./dataset";
+import {
+  PRIVACY_DEFAULTS,
+  applyPrivacy,
+  redactRecords,
+  strictestPrivacy,
+} from "./privacy";
+
+const records = [
+  {
+    id: "s-01",
+    name: "Ana Silva",
+    year: "year 8",
+    instruments: "guitar",
+    geek: "chess",
+    collab: "not right now",
+    consent: "yes",
+  },
+  { id: "s-02", name: "Ben Okafor", year: "year 8", geek: "maps", collab: "yes", consent: "no" },
+  { id: "s-03", name: "Cleo", year: "year 9", geek: "", collab: "maybe" },
+];
+const nodes = normalizeDataset(records);
+const rules = (over) => ({ ...PRIVACY_DEFAULTS, ...over });
+const ids = (list) => list.map((d) => d.id);
+
+describe("applyPrivacy", () => {
+  it("leaves nodes alone with the defaults", () => {
+    expect(applyPrivacy(nodes, PRIVACY_DEFAULTS)).toBe(nodes);
+  });
+
+  it("blanks hidden fields but keeps collab willingness", () => {
+    const out = applyPrivacy(nodes, rules({ hidden: ["geek", "collab"] }));
+    expect(out.map((d) => d.geek)).toEqual([[], [], []]);
+    expect(out.map((d) => d.collab)).toEqual(["", "", ""]);
+    expect(out.map((d) => d.willing)).toEqual(["no", "yes", "maybe"]);
+    expect(out[0].instruments).toEqual(["guitar"]);
+  });
+
+  it("applies the consent modes", () => {
+    expect(ids(applyPrivacy(nodes, rules({ consent: "all" })))).toEqual(["s-01", "s-02", "s-03"]);
+    expect(ids(applyPrivacy(nodes, rules({ consent: "not-refused" })))).toEqual([
+      "s-01",
+      "s-03",
+    ]);
+    expect(ids(applyPrivacy(nodes, rules({ consent: "consented" })))).toEqual(["s-01"]);
+  });
+
+  it("shows initials", () => {
+    const out = applyPrivacy(nodes, rules({ names: "initials" }));
+    expect(out.map((d) => d.name)).toEqual(["A.S.", "B.O.", "C."]);
+  });
+
+  it("gives each id the same alias however the roster is ordered", () => {
+    // enough students that some aliases clash and get numbered
+    const many = Array.from({ length: 400 }, (_, i) => ({ id: `s-${i}`, name: `Student ${i}` }));
+    const alias = rules({ names: "alias" });
+    const forward = new Map(applyPrivacy(many, alias).map((d) => [d.id, d.name]));
+    const backward = applyPrivacy([...many].reverse(), alias);
+
+    expect(new Set(forward.values()).size).toBe(many.length);
+    expect([...forward.values()].some((n) => / \d+$/.test(n))).toBe(true);
+    backward.forEach((d) => expect(d.name).toBe(forward.get(d.id)));
+  });
+});
+
+describe("redactRecords", () => {
+  it("applies the same rules to raw records", () => {
+    const out = redactRecords(records, rules({ hidden: ["geek"], consent: "not-refused" }));
+    expect(ids(out)).toEqual(["s-01", "s-03"]);
+    expect(out[0]).toMatchObject({ name: "Ana Silva", geek: "", instruments: "guitar" });
+  });
+
+  it("uses the same aliases as the redacted nodes", () => {
+    const alias = rules({ names: "alias" });
+    expect(redactRecords(records, alias).map((r) => r.name)).toEqual(
+      applyPrivacy(nodes, alias).map((d) => d.name)
+    );
+  });
+});
+
+describe("strictestPrivacy", () => {
+  it("takes the stricter rule field by field", () => {
+    expect(
+      strictestPrivacy(
+        { names: "initials", hidden: ["geek"], consent: "all" },
+        { names: "full", hidden: ["geek", "artists"], consent: "consented" }
+      )
+    ).toEqual({ names: "initials", hidden: ["geek", "artists"], consent: "consented" });
+  });
+});
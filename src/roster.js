@@ -0,0 +1,280 @@
+import { useEffect, useMemo, useState } from "react";
+import artistAliases from "./artistAliases.json";
+import { canonicalArtists, createArtistMatcher } from "./artists";
+import { toArrayLoose, yearToNumber } from "./dataset";
+
+/* =========================================================
+   ROSTER (raw records, data.json shape)
+   - Edits, imports and deletions persist in localStorage;
+     the bundled data.json is only the starting point
+   - The roster remembers the date its survey was taken, so
+     term history can count the Septembers since older terms
+   - Vocabularies for the editor come from values already in
+     the roster plus a few staples; artists stay free text
+     with canonical-name suggestions
+   - Export writes the records back out as data.json
+   - Questionnaire answers wait in a separate pending queue
+     until staff approve them into the roster. The queue lives
+     in the browser that took the survey, so a phone hands its
+     answers over as a small submission file (download or
+     copy) that staff add to their own queue, each profile
+     rebuilt and validated like a fresh answer
+   ========================================================= */
+
+const STORAGE_KEY = "bmsmusic.roster";
+const DATE_KEY = "bmsmusic.rosterDate";
+const PENDING_KEY = "bmsmusic.pending";
+const SUBMISSION_KIND = "bmsmusic-submission";
+
+const BASE_VOCAB = {
+  instruments: ["voice", "piano", "keyboard", "guitar", "electric guitar", "bass", "drums"],
+  roles: ["singer", "instrumentalist", "songwriter"],
+  genres: ["pop", "rock", "jazz", "rap", "electronic", "film", "game", "country", "punk", "folk"],
+  geek: [],
+};
+
+export const COLLAB_OPTIONS = ["yes", "maybe", "not right now"];
+
+function loadStored(key = STORAGE_KEY) {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(key));
+    return Array.isArray(saved) ? saved : null;
+  } catch {
+    return null;
+  }
+}
+
+function loadDate() {
+  try {
+    const saved = window.localStorage.getItem(DATE_KEY);
+    return /^\d{4}-\d{2}-\d{2}$/.test(saved ?? "") ? saved : null;
+  } catch {
+    return null;
+  }
+}
+
+export function useRoster(builtIn) {
+  const [stored, setStored] = useState(loadStored);
+  const [surveyDate, setSurveyDate] = useState(loadDate); // ISO date, null = unknown
+  const records = stored ?? builtIn;
+
+  useEffect(() => {
+    try {
+      if (stored) window.localStorage.setItem(STORAGE_KEY, JSON.stringify(stored));
+      else window.localStorage.removeItem(STORAGE_KEY);
+    } catch {
+      // storage full or disabled: edits last for this session only
+    }
+  }, [stored]);
+
+  useEffect(() => {
+    try {
+      if (surveyDate) window.localStorage.setItem(DATE_KEY, surveyDate);
+      else window.localStorage.removeItem(DATE_KEY);
+    } catch {
+      // see above
+    }
+  }, [surveyDate]);
+
+  // a new survey replaces the roster and its date together
+  const replaceAll = (next, date = null) => {
+    setStored(next);
+    setSurveyDate(date || null);
+  };
+
+  const saveRecord = (rec) =>
+    setStored((prev) => {
+      const list = prev ?? builtIn;
+      return list.some((r) => r.id === rec.id)
+        ? list.map((r) => (r.id === rec.id ? rec : r))
+        : [...list, rec];
+    });
+
+  const deleteRecord = (id) =>
+    setStored((prev) => (prev ?? builtIn).filter((r) => r.id !== id));
+
+  const resetToBuiltIn = () => {
+    setStored(null);
+    setSurveyDate(null);
+  };
+
+  return {
+    records,
+    edited: stored != null,
+    surveyDate,
+    setSurveyDate,
+    replaceAll,
+    saveRecord,
+    deleteRecord,
+    resetToBuiltIn,
+  };
+}
+
+/* ---------- approval queue ---------- */
+
+// The questionnaire usually runs in another tab, so follow storage events.
+export function usePendingProfiles() {
+  const [pending, setPending] = useState(() => loadStored(PENDING_KEY) ?? []);
+
+  useEffect(() => {
+    const onStorage = (e) => {
+      if (e.key === PENDING_KEY) setPending(loadStored(PENDING_KEY) ?? []);
+    };
+    window.addEventListener("storage", onStorage);
+    return () => window.removeEventListener("storage", onStorage);
+  }, []);
+
+  const update = (fn) =>
+    setPending((prev) => {
+      const next = fn(prev);
+      try {
+        window.localStorage.setItem(PENDING_KEY, JSON.stringify(next));
+      } catch {
+        // see useRoster
+      }
+      return next;
+    });
+
+  // returns the queued record (with its pending id) so it can be sent on
+  const submit = (rec) => {
+    const queued = { ...rec, id: `p-${Date.now()}`, submittedAt: new Date().toISOString() };
+    update((prev) => [...prev, queued]);
+    return queued;
+  };
+
+  const remove = (id) => update((prev) => prev.filter((r) => r.id !== id));
+
+  // profiles from another device's submission file; already queued ids are skipped
+  const receive = (recs) =>
+    update((prev) => {
+      const have = new Set(prev.map((r) => r.id));
+      return [...prev, ...recs.filter((r) => !have.has(r.id))];
+    });
+
+  return { pending, submit, receive, remove };
+}
+
+/* ---------- submission files (phone -> staff) ---------- */
+
+export function submissionText(recs) {
+  return JSON.stringify({ kind: SUBMISSION_KIND, version: 1, profiles: recs }, null, 2);
+}
+
+// string or list -> list; anything else a hand-edited file may hold -> []
+function listAnswer(v) {
+  if (Array.isArray(v)) return toArrayLoose(v.filter((x) => typeof x === "string"));
+  return typeof v === "string" ? toArrayLoose(v) : [];
+}
+
+const textAnswer = (v) => (typeof v === "string" ? v : "");
+
+// A submission file's text -> { profiles, rejected }. Each profile is rebuilt
+// through toRecord and checked with validateRecord, exactly like a questionnaire
+// answer, so only known fields of the right shape reach the queue; `rejected`
+// lists the ones that fail ("Profile 2 (Ana): Year must ..."). Throws when the
+// text is not a submission at all.
+export function parseSubmission(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("Not a submission file (it isn't JSON).");
+  }
+  if (data?.kind !== SUBMISSION_KIND || !Array.isArray(data.profiles)) {
+    throw new Error("Not a questionnaire submission file.");
+  }
+  if (!data.profiles.length) throw new Error("The submission has no profiles.");
+
+  const profiles = [];
+  const rejected = [];
+  data.profiles.forEach((r, i) => {
+    const label = `Profile ${i + 1}${typeof r?.name === "string" ? ` (${r.name})` : ""}`;
+    if (!r || typeof r !== "object" || typeof r.id !== "string" || !r.id) {
+      rejected.push(`${label}: no id.`);
+      return;
+    }
+    const rec = toRecord(r.id, {
+      name: textAnswer(r.name),
+      year: typeof r.year === "number" ? String(r.year) : textAnswer(r.year),
+      collab: COLLAB_OPTIONS.includes(r.collab) ? r.collab : "",
+      instruments: listAnswer(r.instruments),
+      genres: listAnswer(r.genres),
+      artists: listAnswer(r.artists),
+      roles: listAnswer(r.roles),
+      geek: listAnswer(r.geek),
+      consent: textAnswer(r.consent),
+    });
+    const errors = Object.values(validateRecord(rec, []));
+    if (errors.length) {
+      rejected.push(`${label}: ${errors.join("; ")}.`);
+      return;
+    }
+    if (typeof r.submittedAt === "string") rec.submittedAt = r.submittedAt;
+    profiles.push(rec);
+  });
+  return { profiles, rejected };
+}
+
+/* ---------- editor helpers ---------- */
+
+export function nextStudentId(records) {
+  const max = records.reduce((m, r) => {
+    const n = Number(String(r.id ?? "").match(/^s-(\d+)$/)?.[1]);
+    return Number.isFinite(n) ? Math.max(m, n) : m;
+  }, 0);
+  return `s-${String(max + 1).padStart(2, "0")}`;
+}
+
+export function useVocabulary(records) {
+  return useMemo(() => {
+    const out = {};
+    Object.entries(BASE_VOCAB).forEach(([key, base]) => {
+      const seen = new Set(base);
+      records.forEach((r) =>
+        toArrayLoose(r[key]).forEach((v) => seen.add(String(v).trim().toLowerCase()))
+      );
+      out[key] = [...seen].filter(Boolean).sort();
+    });
+
+    // artists stay free text; suggest the canonical spellings
+    const matcher = createArtistMatcher();
+    const artists = new Set(Object.keys(artistAliases));
+    records.forEach((r) => canonicalArtists(r.artists, matcher).forEach((a) => artists.add(a)));
+    out.artists = [...artists].sort((a, b) => a.localeCompare(b));
+    return out;
+  }, [records]);
+}
+
+// answers with array fields -> data.json shape (comma-joined strings)
+export function toRecord(id, a) {
+  const y = yearToNumber(a.year);
+  return {
+    id,
+    name: String(a.name ?? "").trim(),
+    year: y == null ? String(a.year ?? "").trim() : `year ${y}`,
+    collab: a.collab ?? "",
+    instruments: (a.instruments ?? []).join(","),
+    genres: (a.genres ?? []).join(","),
+    artists: (a.artists ?? []).join(", "),
+    roles: (a.roles ?? []).join(","),
+    geek: (a.geek ?? []).join(","),
+    ...(a.consent ? { consent: a.consent } : {}),
+  };
+}
+
+// field -> message; empty object means the record can be saved
+export function validateRecord(rec, records) {
+  const errors = {};
+  if (!String(rec.name ?? "").trim()) errors.name = "Name is required";
+  const y = yearToNumber(rec.year);
+  if (y == null) errors.year = 'Year must contain a number, e.g. "year 9"';
+  else if (y < 1 || y > 13) errors.year = "Year must be between 1 and 13";
+  if (records.some((r) => r.id !== rec.id && r.name === rec.name && yearToNumber(r.year) === y)) {
+    errors.name = "Another student in that year has this name";
+  }
+  return errors;
+}
+
+export function exportRosterJSON(records) {
+  return JSON.stringify(records, null, 2) + "\n";
+}
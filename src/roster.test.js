@@ -0,0 +1,66 @@
+import { parseSubmission, submissionText, toRecord } from "./roster";
+
+const answers = {
+  name: "Ana Silva",
+  year: "9",
+  collab: "yes",
+  instruments: ["guitar", "voice"],
+  genres: ["rock"],
+  artists: ["Queen"],
+  roles: [],
+  geek: ["drawing"],
+};
+
+describe("parseSubmission", () => {
+  it("reads back what the questionnaire sends", () => {
+    const sent = { ...toRecord("p-1", answers), submittedAt: "2026-10-01T09:00:00.000Z" };
+    expect(parseSubmission(submissionText([sent]))).toEqual({ profiles: [sent], rejected: [] });
+  });
+
+  it("rebuilds hand-edited profiles and rejects invalid ones", () => {
+    const text = JSON.stringify({
+      kind: "bmsmusic-submission",
+      version: 1,
+      profiles: [
+        {
+          id: "p-2",
+          name: "Ben",
+          year: 8,
+          collab: "always",
+          instruments: { evil: true },
+          genres: ["pop", 3],
+          isAdmin: true,
+          consent: "yes",
+        },
+        { id: "p-3", name: "Cleo", year: "ninety" },
+        { id: "p-4", name: "", year: "year 7" },
+        "not a profile",
+      ],
+    });
+    const { profiles, rejected } = parseSubmission(text);
+    expect(profiles).toEqual([
+      {
+        id: "p-2",
+        name: "Ben",
+        year: "year 8",
+        collab: "",
+        instruments: "",
+        genres: "pop",
+        artists: "",
+        roles: "",
+        geek: "",
+        consent: "yes",
+      },
+    ]);
+    expect(rejected).toHaveLength(3);
+    expect(rejected[0]).toMatch(/^Profile 2 \(Cleo\): Year must contain a number/);
+    expect(rejected[1]).toMatch(/Name is required/);
+    expect(rejected[2]).toBe("Profile 4: no id.");
+  });
+
+  it("throws on text that is not a submission", () => {
+    expect(() => parseSubmission("{")).toThrow(/isn't JSON/);
+    expect(() => parseSubmission('{"profiles": []}')).toThrow(/Not a questionnaire/);
+    expect(() => parseSubmission(submissionText([]))).toThrow(/no profiles/);
+  });
+});
@@ -0,0 +1,50 @@
+import { useEffect, useState } from "react";
+
+/* =========================================================
+   ROUTES (path based; public/_redirects serves index.html
+   for every path)
+   /                          teacher dashboard (sign-in first)
+   /survey                    student questionnaire
+   /student/<id>/<token>      one student's own view
+   /#survey                   old questionnaire link, still works
+   ========================================================= */
+
+// a mangled link ("%E0%A4%A") must not throw during render
+function decodePart(part) {
+  try {
+    return decodeURIComponent(part);
+  } catch {
+    return null;
+  }
+}
+
+export function matchRoute(pathname, hash = "") {
+  if (hash === "#survey") return { name: "survey" };
+  const parts = pathname.split("/").filter(Boolean).map(decodePart);
+  if (parts.includes(null)) return { name: "teacher" };
+  if (parts[0] === "survey") return { name: "survey" };
+  if (parts[0] === "student" && parts[1]) {
+    return { name: "student", id: parts[1], token: parts[2] ?? "" };
+  }
+  return { name: "teacher" };
+}
+
+const currentRoute = () => matchRoute(window.location.pathname, window.location.hash);
+
+export function useRoute() {
+  const [route, setRoute] = useState(currentRoute);
+  useEffect(() => {
+    const update = () =>
+      setRoute((prev) => {
+        const next = currentRoute();
+        return JSON.stringify(prev) === JSON.stringify(next) ? prev : next;
+      });
+    window.addEventListener("popstate", update);
+    window.addEventListener("hashchange", update);
+    return () => {
+      window.removeEventListener("popstate", update);
+      window.removeEventListener("hashchange", update);
+    };
+  }, []);
+  return route;
+}
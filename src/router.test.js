@@ -0,0 +1,23 @@
+import { matchRoute } from "./router";
+
+describe("matchRoute", () => {
+  it("reads the survey and student routes", () => {
+    expect(matchRoute("/survey")).toEqual({ name: "survey" });
+    expect(matchRoute("/", "#survey")).toEqual({ name: "survey" });
+    expect(matchRoute("/student/s%2D01/abc")).toEqual({
+      name: "student",
+      id: "s-01",
+      token: "abc",
+    });
+    expect(matchRoute("/student/s-01")).toEqual({ name: "student", id: "s-01", token: "" });
+  });
+
+  it("falls back to the teacher route", () => {
+    expect(matchRoute("/")).toEqual({ name: "teacher" });
+    expect(matchRoute("/elsewhere")).toEqual({ name: "teacher" });
+  });
+
+  it("does not throw on a malformed link", () => {
+    expect(matchRoute("/student/%E0%A4%A/token")).toEqual({ name: "teacher" });
+  });
+});
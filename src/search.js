@@ -0,0 +1,122 @@
+import { editDistance, simplify } from "./artists";
+import { parseYearRange } from "./filters";
+
+/* =========================================================
+   SEARCH
+   - Free words look in every field: name, instruments,
+     genres, artists, roles, geek
+   - field:value narrows a word to one field
+     (instrument:bass genre:punk artist:"the beatles" year:9-11)
+   - Every word has to match somewhere; the score adds up the
+     best match per word, weighted by field (a name hit beats
+     a geek hit), so results come back ranked
+   - Whole word > prefix > substring > a typo or two
+   ========================================================= */
+
+export const SEARCH_FIELDS = [
+  { key: "name", label: "Name", weight: 5, aliases: ["name", "n"] },
+  {
+    key: "instruments",
+    label: "Instrument",
+    weight: 3,
+    aliases: ["instrument", "instruments", "inst", "plays"],
+  },
+  { key: "genres", label: "Genre", weight: 2, aliases: ["genre", "genres", "g"] },
+  { key: "artists", label: "Artist", weight: 2, aliases: ["artist", "artists", "band", "a"] },
+  { key: "roles", label: "Role", weight: 2, aliases: ["role", "roles"] },
+  { key: "geek", label: "Geek", weight: 1, aliases: ["geek"] },
+];
+
+const YEAR_ALIASES = ["year", "y"];
+
+function fieldFor(alias) {
+  const a = alias.toLowerCase();
+  if (YEAR_ALIASES.includes(a)) return "year";
+  return SEARCH_FIELDS.find((f) => f.aliases.includes(a))?.key ?? null;
+}
+
+// 'instrument:bass "the beatles" punk' ->
+//   [{ field: "instruments", text: "bass" }, { field: null, text: "the beatles" }, ...]
+export function parseQuery(query) {
+  const terms = [];
+  const re = /(\S+?):(?:"([^"]*)"?|(\S+))|"([^"]*)"?|(\S+)/g;
+  let m;
+  while ((m = re.exec(String(query ?? "")))) {
+    const field = m[1] != null ? fieldFor(m[1]) : null;
+    let raw;
+    if (m[1] != null && field) raw = m[2] ?? m[3];
+    else if (m[1] != null) raw = m[0]; // "ac:dc" is just text
+    else raw = m[4] ?? m[5];
+    const text = field === "year" ? raw.trim() : simplify(raw);
+    if (text) terms.push({ field, text });
+  }
+  return terms;
+}
+
+function typoBudget(text) {
+  if (text.length <= 3) return 0;
+  if (text.length <= 6) return 1;
+  return 2;
+}
+
+// 0..1: how well one search word matches one profile value
+function matchQuality(text, value) {
+  const v = simplify(value);
+  if (!v) return 0;
+  if (v === text) return 1;
+  const words = v.split(" ");
+  if (` ${v} `.includes(` ${text} `)) return 0.9;
+  if (v.startsWith(text) || words.some((w) => w.startsWith(text))) return 0.75;
+  if (text.length >= 3 && v.includes(text)) return 0.5;
+  const budget = typoBudget(text);
+  if (!budget) return 0;
+  const candidates = text.includes(" ") ? [v] : [...words, v.replace(/ /g, "")];
+  const d = Math.min(...candidates.map((w) => editDistance(text, w)));
+  return d <= budget ? 0.45 - 0.1 * d : 0;
+}
+
+// best { score, field, value } for one term in one student; null = no match
+function matchTerm(d, { field, text }) {
+  if (field === "year") {
+    const range = parseYearRange(text);
+    if (!range || d.year == null || d.year < range[0] || d.year > range[1]) return null;
+    return { score: 1, field: "year", value: `Y${d.year}` };
+  }
+  let best = null;
+  SEARCH_FIELDS.forEach((f) => {
+    if (field && f.key !== field) return;
+    const values = f.key === "name" ? [d.name] : d[f.key] || [];
+    values.forEach((value) => {
+      const q = matchQuality(text, value);
+      if (q > 0 && (!best || q * f.weight > best.score)) {
+        best = { score: q * f.weight, field: f.key, value: String(value) };
+      }
+    });
+  });
+  return best;
+}
+
+// Ranked [{ node, score, hits: [{ field, value }] }] for every match
+export function searchNodes(nodes, query) {
+  const terms = parseQuery(query);
+  if (!terms.length) return [];
+  const out = [];
+  nodes.forEach((node) => {
+    let score = 0;
+    const hits = [];
+    for (const term of terms) {
+      const hit = matchTerm(node, term);
+      if (!hit) return;
+      score += hit.score;
+      hits.push(hit);
+    }
+    out.push({ node, score, hits });
+  });
+  return out.sort(
+    (a, b) => b.score - a.score || String(a.node.name).localeCompare(String(b.node.name))
+  );
+}
+
+export function searchFieldLabel(key) {
+  return key === "year" ? "Year" : SEARCH_FIELDS.find((f) => f.key === key)?.label ?? key;
+}
@@ -0,0 +1,68 @@
+import { normalizeDataset } from "./dataset";
+import { parseQuery, searchFieldLabel, searchNodes } from "./search";
+
+const roster = normalizeDataset([
+  { id: "a", name: "Zoë Bass", year: "year 9", instruments: "voice", geek: "chess" },
+  { id: "b", name: "Ben", year: "year 8", instruments: "bass", genres: "punk" },
+  {
+    id: "c",
+    name: "Cleo",
+    year: "year 11",
+    instruments: "electric guitar",
+    artists: "The Beatles",
+    geek: "bass fishing",
+  },
+]);
+const found = (query) => searchNodes(roster, query).map((r) => r.node.id);
+
+describe("parseQuery", () => {
+  it("reads field:value, quoted phrases and plain words", () => {
+    expect(parseQuery('instrument:bass artist:"the beatles" Punk')).toEqual([
+      { field: "instruments", text: "bass" },
+      { field: "artists", text: "the beatles" },
+      { field: null, text: "punk" },
+    ]);
+  });
+
+  it("keeps an unknown prefix as text", () => {
+    expect(parseQuery("ac:dc")).toEqual([{ field: null, text: "ac dc" }]);
+  });
+
+  it("keeps year ranges as typed", () => {
+    expect(parseQuery("y:9-11")).toEqual([{ field: "year", text: "9-11" }]);
+  });
+});
+
+describe("searchNodes", () => {
+  it("ranks a name hit above an instrument and a geek hit", () => {
+    expect(found("bass")).toEqual(["a", "b", "c"]);
+  });
+
+  it("narrows a word to one field", () => {
+    expect(found("instrument:bass")).toEqual(["b"]);
+    expect(found("year:9-11")).toEqual(["c", "a"]); // equal scores go by name
+  });
+
+  it("needs every word to match", () => {
+    expect(found("bass punk")).toEqual(["b"]);
+    expect(found("bass jazz")).toEqual([]);
+  });
+
+  it("ignores accents and forgives a typo", () => {
+    expect(found("zoe")).toEqual(["a"]);
+    expect(found("beatels")).toEqual(["c"]);
+  });
+
+  it("says which field matched", () => {
+    const [hit] = searchNodes(roster, "guitar");
+    expect(hit.hits).toEqual([
+      expect.objectContaining({ field: "instruments", value: "electric guitar" }),
+    ]);
+    expect(searchFieldLabel(hit.hits[0].field)).toBe("Instrument");
+    expect(searchFieldLabel("year")).toBe("Year");
+  });
+
+  it("returns nothing for an empty query", () => {
+    expect(searchNodes(roster, "  ")).toEqual([]);
+  });
+});
@@ -0,0 +1,433 @@
+import { useEffect, useMemo, useState } from "react";
+
+/* =========================================================
+   SIMILARITY
+   - A connection mode is a named set of per-field weights
+   - score = sum over fields of (shared values × weight)
+   - "complement" is the one field that rewards DIFFERENCE:
+     rhythm-section pairs, singer + accompanist, songwriter +
+     instrumentalist (see COMPLEMENTS)
+   - Built-in modes keep the original multipliers; teachers
+     can retune them or add their own, saved in localStorage
+   - Recommendations respect collab willingness: "not right
+     now" students are down-weighted or hidden, optionally
+     only mutually willing pairs are suggested
+   - Token sets are cached per profile array and scores per
+     (node list, weights) in a lazily filled matrix, so big
+     rosters pay for each pair once
+   ========================================================= */
+
+export const SCORE_FIELDS = [
+  { key: "instruments", label: "Instruments" },
+  { key: "genres", label: "Genres" },
+  { key: "artists", label: "Artists" },
+  { key: "roles", label: "Roles" },
+  { key: "geek", label: "Geek" },
+  { key: "complement", label: "Complement" },
+];
+
+export const CHORD_INSTRUMENTS = [
+  "guitar",
+  "electric guitar",
+  "acoustic guitar",
+  "piano",
+  "keyboard",
+  "ukulele",
+];
+
+// One student covering side `a` and the other covering side `b` earns
+// `points`. Sides match on instruments or roles.
+export const COMPLEMENTS = [
+  {
+    label: "drums + bass",
+    a: { instruments: ["drums"] },
+    b: { instruments: ["bass"] },
+    points: 3,
+  },
+  {
+    label: "singer + accompanist",
+    a: { instruments: ["voice"], roles: ["singer"] },
+    b: { instruments: CHORD_INSTRUMENTS },
+    points: 3,
+  },
+  {
+    label: "songwriter + instrumentalist",
+    a: { roles: ["songwriter"] },
+    b: { roles: ["instrumentalist"] },
+    points: 2,
+  },
+  {
+    label: "rhythm + chords",
+    a: { instruments: ["drums", "bass"] },
+    b: { instruments: CHORD_INSTRUMENTS },
+    points: 1,
+  },
+];
+
+export const BUILTIN_MODES = [
+  {
+    id: "instrument",
+    label: "Same instrument",
+    weights: { instruments: 3 },
+  },
+  {
+    id: "influences",
+    label: "Similar influences",
+    weights: { artists: 3, genres: 2 },
+  },
+  {
+    id: "band",
+    label: "Ideal band",
+    weights: { instruments: 2, roles: 2, genres: 2, artists: 2, geek: 1 },
+  },
+  {
+    id: "complement",
+    label: "Complementary band",
+    weights: { complement: 2, genres: 2, artists: 2, geek: 0.5 },
+  },
+  {
+    // the nodebox prototype's fixed scoring
+    id: "energy",
+    label: "Shared energy",
+    weights: { instruments: 3, genres: 2, artists: 2, roles: 1, geek: 1 },
+  },
+];
+
+/* ---------- scoring ---------- */
+
+// Normalised profiles never mutate their arrays, so each array's
+// lower-cased set is built once. Treat the returned set as read-only.
+const SET_CACHE = new WeakMap();
+
+export function toSet(arr) {
+  if (!Array.isArray(arr)) return new Set();
+  let set = SET_CACHE.get(arr);
+  if (!set) {
+    set = new Set(arr.map((x) => String(x).toLowerCase()));
+    SET_CACHE.set(arr, set);
+  }
+  return set;
+}
+
+export function overlapCount(A, B) {
+  if (A.size > B.size) [A, B] = [B, A];
+  let c = 0;
+  for (const v of A) if (B.has(v)) c++;
+  return c;
+}
+
+function covers(student, side) {
+  const ins = toSet(student.instruments);
+  const roles = toSet(student.roles);
+  return (
+    (side.instruments || []).some((x) => ins.has(x)) ||
+    (side.roles || []).some((x) => roles.has(x))
+  );
+}
+
+// student -> [[covers side a, covers side b] per COMPLEMENTS rule]
+const COVER_CACHE = new WeakMap();
+
+function coverage(student) {
+  let c = COVER_CACHE.get(student);
+  if (!c) {
+    c = COMPLEMENTS.map((rule) => [covers(student, rule.a), covers(student, rule.b)]);
+    COVER_CACHE.set(student, c);
+  }
+  return c;
+}
+
+// Complement rules the pair satisfies. A rule only counts when the two
+// students fill different sides: two singer-pianists are not a singer
+// and an accompanist.
+function fires(ca, cb, i) {
+  const [aA, aB] = ca[i];
+  const [bA, bB] = cb[i];
+  return (aA && bB && !(bA && aB)) || (bA && aB && !(aA && bB));
+}
+
+export function complementPairs(a, b) {
+  const ca = coverage(a);
+  const cb = coverage(b);
+  return COMPLEMENTS.filter((rule, i) => fires(ca, cb, i));
+}
+
+// complementPairs' total points without building the list (hot path)
+function complementUnits(a, b) {
+  const ca = coverage(a);
+  const cb = coverage(b);
+  let units = 0;
+  for (let i = 0; i < COMPLEMENTS.length; i++) {
+    if (fires(ca, cb, i)) units += COMPLEMENTS[i].points;
+  }
+  return units;
+}
+
+// Raw (unweighted) matches for one field: shared values, or for
+// "complement" the rules the pair satisfies.
+function fieldMatches(a, b, key) {
+  if (key === "complement") {
+    const rules = complementPairs(a, b);
+    return {
+      shared: rules.map((r) => r.label),
+      units: rules.reduce((t, r) => t + r.points, 0),
+    };
+  }
+  const B = toSet(b[key]);
+  const shared = (a[key] || []).filter((v) => B.has(String(v).toLowerCase()));
+  return { shared, units: shared.length };
+}
+
+export function similarityScore(a, b, weights) {
+  if (!a || !b || a.id === b.id) return 0;
+  let s = 0;
+  for (const { key } of SCORE_FIELDS) {
+    const w = weights?.[key] ?? 0;
+    if (!w) continue;
+    s +=
+      key === "complement"
+        ? complementUnits(a, b) * w
+        : overlapCount(toSet(a[key]), toSet(b[key])) * w;
+  }
+  return s;
+}
+
+// Per-field breakdown of similarityScore: which values overlap (or which
+// complement rules fire) and how many points each field contributed.
+export function explainMatch(a, b, weights) {
+  if (!a || !b || a.id === b.id) return [];
+  return SCORE_FIELDS.map(({ key, label }) => {
+    const { shared, units } = fieldMatches(a, b, key);
+    const weight = weights?.[key] ?? 0;
+    return { key, label, shared, units, weight, points: units * weight };
+  }).filter((r) => r.shared.length > 0);
+}
+
+/* ---------- collaboration willingness ---------- */
+
+// "yes" | "maybe" | "no" | "unknown" from the free-text collab answer
+function parseCollab(answer) {
+  const s = String(answer ?? "").trim().toLowerCase();
+  if (!s) return "unknown";
+  if (/^(not|no\b|nope)/.test(s)) return "no";
+  if (/^(maybe|possibly|perhaps|depends)/.test(s)) return "maybe";
+  if (/^(yes|y\b|sure|definitely)/.test(s)) return "yes";
+  return "unknown";
+}
+
+// Willingness for matching. Privacy keeps it in `willing` when it blanks
+// the collab answer, so hiding the field never changes who is suggested.
+export function collabStatus(student) {
+  return student?.willing ?? parseCollab(student?.collab);
+}
+
+// Willingness as displayed: "unknown" once privacy hides the answer
+export function shownCollabStatus(student) {
+  return parseCollab(student?.collab);
+}
+
+export function isMutuallyWilling(a, b) {
+  const ok = (s) => s === "yes" || s === "maybe";
+  return ok(collabStatus(a)) && ok(collabStatus(b));
+}
+
+export const COLLAB_POLICIES = [
+  { id: "downweight", label: "Down-weight" },
+  { id: "hide", label: "Hide" },
+  { id: "ignore", label: "Ignore" },
+];
+
+const NOT_NOW_FACTOR = 0.25;
+
+// Multiplier for recommending `b` to `a`; 0 drops the pair.
+export function collabFactor(a, b, { policy = "downweight", mutualOnly = false } = {}) {
+  if (mutualOnly && !isMutuallyWilling(a, b)) return 0;
+  if (collabStatus(b) !== "no") return 1;
+  if (policy === "hide") return 0;
+  if (policy === "downweight") return NOT_NOW_FACTOR;
+  return 1;
+}
+
+/* ---------- cached similarity matrix ---------- */
+
+// nodes array -> Map(weights key -> matrix). Rows fill the first time a
+// student is asked about, so one selection costs O(n) and whole-roster
+// passes (k-NN for clusters and the force layout, the heatmap, bands)
+// share the work. Scores are multiples of the 0.5 weight step, exact in
+// a Float32Array.
+const MATRIX_CACHE = new WeakMap();
+
+// also keys the force layout's settled positions (layouts.js)
+export function weightsKey(weights) {
+  return SCORE_FIELDS.map(({ key }) => weights?.[key] ?? 0).join(",");
+}
+
+function createMatrix(nodes, weights) {
+  const n = nodes.length;
+  const index = new Map(nodes.map((d, i) => [d.id, i]));
+  const rows = new Array(n);
+
+  const row = (i) => {
+    if (!rows[i]) {
+      const r = new Float32Array(n);
+      for (let j = 0; j < n; j++) {
+        r[j] = rows[j] ? rows[j][i] : similarityScore(nodes[i], nodes[j], weights);
+      }
+      rows[i] = r;
+    }
+    return rows[i];
+  };
+
+  const score = (a, b) => {
+    const i = index.get(a.id);
+    const j = index.get(b.id);
+    return i == null || j == null ? similarityScore(a, b, weights) : row(i)[j];
+  };
+
+  return { index, row, score };
+}
+
+export function similarityMatrix(nodes, weights) {
+  let byWeights = MATRIX_CACHE.get(nodes);
+  if (!byWeights) {
+    byWeights = new Map();
+    MATRIX_CACHE.set(nodes, byWeights);
+  }
+  const key = weightsKey(weights);
+  if (!byWeights.has(key)) byWeights.set(key, createMatrix(nodes, weights));
+  return byWeights.get(key);
+}
+
+// highest score in a block of matrix rows (heatmap colour scale), 1 if none
+export function maxScore(rows) {
+  let max = 0;
+  rows.forEach((row) => row.forEach((s) => (max = Math.max(max, s))));
+  return max || 1;
+}
+
+/* ---------- ranking ---------- */
+
+// Best-scoring other nodes for one student, highest first, zero scores
+// dropped. `exclude` is a Set of ids to leave out besides the student.
+// `collab` (optional): { policy, mutualOnly } -- see collabFactor
+export function topMatches(node, nodes, weights, n, exclude, collab) {
+  const matrix = similarityMatrix(nodes, weights);
+  const i = matrix.index.get(node.id);
+  // only trust the cached row when `node` is the very profile in `nodes`
+  const row = i != null && nodes[i] === node ? matrix.row(i) : null;
+
+  // bounded insertion keeps the best n, earlier nodes first on ties
+  const out = [];
+  nodes.forEach((x, j) => {
+    if (x.id === node.id || exclude?.has(x.id)) return;
+    let s = row ? row[j] : similarityScore(node, x, weights);
+    if (collab) s *= collabFactor(node, x, collab);
+    if (!(s > 0)) return;
+    if (out.length >= n && s <= out[out.length - 1].s) return;
+    let k = out.length;
+    while (k > 0 && out[k - 1].s < s) k--;
+    out.splice(k, 0, { n: x, s });
+    if (out.length > n) out.pop();
+  });
+  return out;
+}
+
+// Student-facing suggestions: top matches plus a few of the values behind
+// each one ("You both: guitar, rock"). Nobody who said "not right now" is
+// ever suggested to another student.
+export function recommend(node, nodes, weights, n) {
+  const collab = { policy: "hide" };
+  return topMatches(node, nodes, weights, n, null, collab).map(({ n: other, s }) => ({
+    student: other,
+    score: s,
+    shared: explainMatch(node, other, weights)
+      .filter((r) => r.points > 0)
+      .flatMap((r) => r.shared)
+      .slice(0, 4),
+  }));
+}
+
+// Undirected top-N graph: an edge for every pair where one student is in
+// the other's top-N. Weight is the similarity score.
+export function knnEdges(nodes, weights, n) {
+  const edges = new Map();
+  nodes.forEach((a) => {
+    topMatches(a, nodes, weights, n).forEach(({ n: b, s }) => {
+      const [source, target] = a.id < b.id ? [a.id, b.id] : [b.id, a.id];
+      const key = `${source}|${target}`;
+      if (!edges.has(key)) edges.set(key, { source, target, weight: s });
+    });
+  });
+  return [...edges.values()];
+}
+
+/* ---------- saved modes ---------- */
+
+const STORAGE_KEY = "bmsmusic.modes";
+
+function loadSaved() {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    return {
+      custom: Array.isArray(saved?.custom) ? saved.custom : [],
+      overrides: saved?.overrides ?? {},
+    };
+  } catch {
+    return { custom: [], overrides: {} };
+  }
+}
+
+// Built-in modes (with any saved weight overrides) followed by custom ones.
+export function useModes() {
+  const [saved, setSaved] = useState(loadSaved);
+
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(STORAGE_KEY, JSON.stringify(saved));
+    } catch {
+      // storage full or disabled: modes still work for this session
+    }
+  }, [saved]);
+
+  const modes = useMemo(
+    () => [
+      ...BUILTIN_MODES.map((m) => ({
+        ...m,
+        builtin: true,
+        weights: saved.overrides[m.id] ?? m.weights,
+      })),
+      ...saved.custom,
+    ],
+    [saved]
+  );
+
+  const updateMode = (id, patch) =>
+    setSaved((s) => {
+      if (BUILTIN_MODES.some((m) => m.id === id)) {
+        if (!patch.weights) return s;
+        return { ...s, overrides: { ...s.overrides, [id]: patch.weights } };
+      }
+      return {
+        ...s,
+        custom: s.custom.map((m) => (m.id === id ? { ...m, ...patch } : m)),
+      };
+    });
+
+  const addMode = (label, weights) => {
+    const id = `custom-${Date.now().toString(36)}`;
+    setSaved((s) => ({ ...s, custom: [...s.custom, { id, label, weights }] }));
+    return id;
+  };
+
+  // custom modes are removed; built-ins go back to their original weights
+  const deleteMode = (id) =>
+    setSaved((s) => {
+      const { [id]: _dropped, ...overrides } = s.overrides;
+      return {
+        custom: s.custom.filter((m) => m.id !== id),
+        overrides,
+      };
+    });
+
+  return { modes, updateMode, addMode, deleteMode };
+}
@@ -0,0 +1,122 @@
+import { normalizeDataset } from "./dataset";
+import {
+  BUILTIN_MODES,
+  collabFactor,
+  complementPairs,
+  explainMatch,
+  maxScore,
+  similarityMatrix,
+  similarityScore,
+  topMatches,
+} from "./similarity";
+
+const [ana, ben, cleo, dev] = normalizeDataset([
+  {
+    id: "a",
+    name: "Ana",
+    instruments: "drums",
+    genres: "rock,punk",
+    artists: "Queen",
+    collab: "yes",
+  },
+  { id: "b", name: "Ben", instruments: "bass", genres: "Rock", collab: "maybe" },
+  {
+    id: "c",
+    name: "Cleo",
+    instruments: "voice,piano",
+    roles: "singer",
+    genres: "pop",
+    collab: "not right now",
+  },
+  { id: "d", name: "Dev", instruments: "voice,piano", roles: "singer", genres: "pop,rock" },
+]);
+const roster = [ana, ben, cleo, dev];
+const mode = (id) => BUILTIN_MODES.find((m) => m.id === id).weights;
+
+describe("similarityScore", () => {
+  it("adds up shared values times the field weight, ignoring case", () => {
+    expect(similarityScore(ana, ben, { genres: 2 })).toBe(2);
+    expect(similarityScore(ana, ben, { genres: 2, instruments: 3 })).toBe(2);
+    expect(similarityScore(cleo, dev, mode("instrument"))).toBe(6);
+  });
+
+  it("scores nobody against themselves", () => {
+    expect(similarityScore(ana, ana, mode("band"))).toBe(0);
+  });
+
+  it("only counts complements when the pair fill different sides", () => {
+    expect(complementPairs(ana, ben).map((r) => r.label)).toEqual(["drums + bass"]);
+    expect(complementPairs(cleo, dev)).toEqual([]); // two singer-pianists
+    expect(similarityScore(ana, ben, { complement: 2 })).toBe(6);
+  });
+});
+
+describe("explainMatch", () => {
+  it("breaks the score down by field, including unweighted ones", () => {
+    const rows = explainMatch(dev, ana, { genres: 2, instruments: 3 });
+    expect(rows).toEqual([
+      { key: "genres", label: "Genres", shared: ["rock"], units: 1, weight: 2, points: 2 },
+      {
+        key: "complement",
+        label: "Complement",
+        shared: ["rhythm + chords"],
+        units: 1,
+        weight: 0,
+        points: 0,
+      },
+    ]);
+  });
+});
+
+describe("collabFactor", () => {
+  it("applies the not-right-now policies", () => {
+    expect(collabFactor(ana, cleo, { policy: "downweight" })).toBe(0.25);
+    expect(collabFactor(ana, cleo, { policy: "hide" })).toBe(0);
+    expect(collabFactor(ana, cleo, { policy: "ignore" })).toBe(1);
+    expect(collabFactor(ana, ben, { policy: "hide" })).toBe(1);
+  });
+
+  it("needs both sides willing with mutualOnly", () => {
+    expect(collabFactor(ana, ben, { mutualOnly: true })).toBe(1);
+    expect(collabFactor(ana, dev, { mutualOnly: true })).toBe(0); // Dev never said
+  });
+
+  it("reads willingness kept through redaction", () => {
+    const hidden = { ...cleo, collab: "", willing: "no" };
+    expect(collabFactor(ana, hidden, { policy: "hide" })).toBe(0);
+  });
+});
+
+describe("topMatches", () => {
+  const weights = { genres: 1, instruments: 1 };
+
+  it("ranks the best matches first and keeps n", () => {
+    const out = topMatches(dev, roster, weights, 2);
+    expect(out.map((m) => [m.n.id, m.s])).toEqual([
+      ["c", 3],
+      ["a", 1],
+    ]);
+  });
+
+  it("leaves out excluded ids and hidden students", () => {
+    const out = topMatches(dev, roster, weights, 5, new Set(["a"]), { policy: "hide" });
+    expect(out.map((m) => m.n.id)).toEqual(["b"]);
+  });
+});
+
+describe("similarityMatrix", () => {
+  it("matches similarityScore and is cached per roster and weights", () => {
+    const weights = mode("band");
+    const m = similarityMatrix(roster, weights);
+    roster.forEach((a) =>
+      roster.forEach((b) => expect(m.score(a, b)).toBe(similarityScore(a, b, weights)))
+    );
+    expect(similarityMatrix(roster, { ...weights })).toBe(m);
+    expect(similarityMatrix([...roster], weights)).not.toBe(m);
+  });
+
+  it("gives the heatmap scale, 1 when every score is 0", () => {
+    expect(maxScore([Float32Array.of(0, 2), Float32Array.of(5, 0)])).toBe(5);
+    expect(maxScore([Float32Array.of(0)])).toBe(1);
+  });
+});
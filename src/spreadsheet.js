@@ -0,0 +1,202 @@
+/* =========================================================
+   SPREADSHEET READERS
+   - CSV / TSV (Google Forms, Microsoft Forms "download as CSV")
+   - XLSX (first worksheet), unzipped with the browser's
+     DecompressionStream so no spreadsheet library is needed
+   Both return rows as arrays of strings; row 0 is the header.
+   ========================================================= */
+
+/* ---------- csv ---------- */
+
+function detectDelimiter(text) {
+  const firstLine = text.slice(0, text.search(/\r?\n|$/));
+  const counts = [",", "\t", ";"].map((d) => [d, firstLine.split(d).length]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][0];
+}
+
+export function parseCSV(text, delimiter) {
+  const src = String(text ?? "").replace(/^\uFEFF/, "");
+  const delim = delimiter ?? detectDelimiter(src);
+
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (inQuotes) {
+      if (ch === '"') {
+        if (src[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === delim) {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((r) => r.some((c) => c.trim() !== ""));
+}
+
+/* ---------- zip ---------- */
+
+async function inflateRaw(bytes) {
+  if (typeof DecompressionStream === "undefined") {
+    throw new Error("This browser can't unzip XLSX files; export as CSV instead.");
+  }
+  const stream = new Blob([bytes])
+    .stream()
+    .pipeThrough(new DecompressionStream("deflate-raw"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function readZipEntries(buf) {
+  const view = new DataView(buf);
+  const bytes = new Uint8Array(buf);
+
+  let eocd = -1;
+  for (let i = buf.byteLength - 22; i >= 0; i--) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw new Error("Not an XLSX file (no zip directory found).");
+
+  const count = view.getUint16(eocd + 10, true);
+  let p = view.getUint32(eocd + 16, true);
+  const decoder = new TextDecoder();
+  const entries = new Map();
+
+  for (let n = 0; n < count; n++) {
+    if (view.getUint32(p, true) !== 0x02014b50) break;
+    const method = view.getUint16(p + 10, true);
+    const size = view.getUint32(p + 20, true);
+    const nameLen = view.getUint16(p + 28, true);
+    const extraLen = view.getUint16(p + 30, true);
+    const commentLen = view.getUint16(p + 32, true);
+    const localOffset = view.getUint32(p + 42, true);
+    const name = decoder.decode(bytes.subarray(p + 46, p + 46 + nameLen));
+
+    const lNameLen = view.getUint16(localOffset + 26, true);
+    const lExtraLen = view.getUint16(localOffset + 28, true);
+    const start = localOffset + 30 + lNameLen + lExtraLen;
+
+    entries.set(name, { method, data: bytes.subarray(start, start + size) });
+    p += 46 + nameLen + extraLen + commentLen;
+  }
+  return entries;
+}
+
+async function readZipText(entries, name) {
+  const e = entries.get(name);
+  if (!e) return null;
+  const raw = e.method === 0 ? e.data : await inflateRaw(e.data);
+  return new TextDecoder().decode(raw);
+}
+
+/* ---------- xlsx ---------- */
+
+function parseXml(text) {
+  return new DOMParser().parseFromString(text, "application/xml");
+}
+
+function byTag(node, tag) {
+  return Array.from(node.getElementsByTagNameNS("*", tag));
+}
+
+function columnIndex(ref) {
+  const letters = String(ref ?? "").replace(/[^A-Z]/gi, "").toUpperCase();
+  let n = 0;
+  for (const ch of letters) n = n * 26 + (ch.charCodeAt(0) - 64);
+  return n - 1;
+}
+
+async function firstSheetPath(entries) {
+  const wb = await readZipText(entries, "xl/workbook.xml");
+  const rels = await readZipText(entries, "xl/_rels/workbook.xml.rels");
+  if (wb && rels) {
+    const sheet = byTag(parseXml(wb), "sheet")[0];
+    const rid =
+      sheet?.getAttribute("r:id") ??
+      sheet?.getAttributeNS(
+        "http://schemas.openxmlformats.org/officeDocument/2006/relationships",
+        "id"
+      );
+    const rel = byTag(parseXml(rels), "Relationship").find(
+      (r) => r.getAttribute("Id") === rid
+    );
+    const target = rel?.getAttribute("Target");
+    if (target) {
+      return target.startsWith("/")
+        ? target.slice(1)
+        : `xl/${target.replace(/^\.\//, "")}`;
+    }
+  }
+  return [...entries.keys()]
+    .filter((k) => /^xl\/worksheets\/[^/]+\.xml$/.test(k))
+    .sort()[0];
+}
+
+export async function parseXLSX(buf) {
+  const entries = readZipEntries(buf);
+
+  const sst = await readZipText(entries, "xl/sharedStrings.xml");
+  const shared = sst
+    ? byTag(parseXml(sst), "si").map((si) =>
+        byTag(si, "t")
+          .map((t) => t.textContent)
+          .join("")
+      )
+    : [];
+
+  const path = await firstSheetPath(entries);
+  const sheetXml = path && (await readZipText(entries, path));
+  if (!sheetXml) throw new Error("No worksheet found in the XLSX file.");
+
+  const rows = byTag(parseXml(sheetXml), "row").map((r) => {
+    const out = [];
+    byTag(r, "c").forEach((c, i) => {
+      const col = c.getAttribute("r") ? columnIndex(c.getAttribute("r")) : i;
+      const type = c.getAttribute("t");
+      const v = byTag(c, "v")[0]?.textContent ?? "";
+      let value;
+      if (type === "s") value = shared[Number(v)] ?? "";
+      else if (type === "inlineStr") value = byTag(c, "t").map((t) => t.textContent).join("");
+      else value = v;
+      out[col] = value;
+    });
+    return Array.from(out, (x) => x ?? "");
+  });
+
+  return rows.filter((r) => r.some((c) => String(c).trim() !== ""));
+}
+
+/* ---------- file entry ---------- */
+
+export async function readSpreadsheetFile(file) {
+  if (/\.xlsx$/i.test(file.name)) return parseXLSX(await file.arrayBuffer());
+  return parseCSV(await file.text(), /\.tsv$/i.test(file.name) ? "\t" : undefined);
+}
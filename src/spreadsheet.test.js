@@ -0,0 +1,27 @@
+import { parseCSV } from "./spreadsheet";
+
+describe("parseCSV", () => {
+  it("handles quotes, escaped quotes and newlines inside fields", () => {
+    const text = 'Name,Artists\r\nAna,"Adele, ""Coldplay"""\r\nBen,"line one\nline two"\r\n';
+    expect(parseCSV(text)).toEqual([
+      ["Name", "Artists"],
+      ["Ana", 'Adele, "Coldplay"'],
+      ["Ben", "line one\nline two"],
+    ]);
+  });
+
+  it("detects tab and semicolon delimiters and strips a BOM", () => {
+    expect(parseCSV("\uFEFFName\tYear\nAna\tY8")).toEqual([
+      ["Name", "Year"],
+      ["Ana", "Y8"],
+    ]);
+    expect(parseCSV("Name;Year\nAna;Y8")).toEqual([
+      ["Name", "Year"],
+      ["Ana", "Y8"],
+    ]);
+  });
+
+  it("drops blank rows", () => {
+    expect(parseCSV("Name\n\n,\nAna\n")).toEqual([["Name"], ["Ana"]]);
+  });
+});
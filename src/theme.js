@@ -0,0 +1,193 @@
+import { useEffect, useLayoutEffect, useState } from "react";
+import { mediaMatches } from "./a11y";
+
+/* =========================================================
+   THEME (colour palettes)
+   - Named palettes: terminal (the original green on black),
+     projector (light, for classroom screens), high contrast,
+     school colours
+   - "auto" follows the OS: prefers-contrast, then
+     prefers-color-scheme (dark -> terminal, light -> projector)
+   - Palette colours become --bms-* CSS variables on <html>;
+     ui.js styles read those, so every panel, control and page
+     follows. SVG and canvas take the palette object directly.
+   - Each palette has its own cluster colours, all readable
+     on its background (projector gets dark ones)
+   ========================================================= */
+
+const STORAGE_KEY = "bmsmusic.palette";
+
+export const PALETTES = [
+  {
+    id: "terminal",
+    label: "Terminal",
+    scheme: "dark",
+    bg: "#000000",
+    panel: "rgba(0,0,0,0.92)",
+    control: "rgba(0,0,0,0.65)",
+    accent: "#00ff66",
+    accentSoft: "rgba(0,255,102,0.62)",
+    line: "rgba(0,255,100,0.35)",
+    lineStrong: "rgba(0,255,100,0.45)",
+    rule: "rgba(0,255,100,0.2)",
+    tint: "rgba(0,255,100,0.2)",
+    track: "rgba(0,255,100,0.1)",
+    danger: "#ff6b6b",
+    warn: "#ffb86b",
+    node: "#e5e9ef",
+    link: "#cfd6df",
+    // cluster colours, each at least 3:1 against bg
+    clusters: [
+      "#00ff66", "#ff6b6b", "#4dabf7", "#ffd43b", "#da77f2",
+      "#ff922b", "#38d9a9", "#f783ac", "#a9e34b", "#74c0fc",
+    ],
+    focus: "#ffffff",
+    nodeOpacity: 0.9,
+    linkOpacity: 0.78,
+    dimOpacity: 0.28,
+  },
+  {
+    id: "projector",
+    label: "Projector (light)",
+    scheme: "light",
+    bg: "#ffffff",
+    panel: "rgba(255,255,255,0.95)",
+    control: "#ffffff",
+    accent: "#0b6e4f",
+    accentSoft: "rgba(11,110,79,0.78)",
+    line: "rgba(11,110,79,0.45)",
+    lineStrong: "rgba(11,110,79,0.6)",
+    rule: "rgba(11,110,79,0.2)",
+    tint: "rgba(11,110,79,0.15)",
+    track: "rgba(11,110,79,0.12)",
+    danger: "#c92a2a",
+    warn: "#d9480f",
+    node: "#343a40",
+    link: "#495057",
+    clusters: [
+      "#0b6e4f", "#c92a2a", "#1864ab", "#862e9c", "#a84300",
+      "#5c7f0d", "#c2255c", "#364fc7", "#7a5c00", "#0c7a8a",
+    ],
+    focus: "#000000",
+    nodeOpacity: 0.95,
+    linkOpacity: 0.7,
+    dimOpacity: 0.3,
+  },
+  {
+    id: "contrast",
+    label: "High contrast",
+    scheme: "dark",
+    bg: "#000000",
+    panel: "#000000",
+    control: "#000000",
+    accent: "#ffff00",
+    accentSoft: "#ffff00",
+    line: "#ffffff",
+    lineStrong: "#ffffff",
+    rule: "#ffffff",
+    tint: "rgba(255,255,0,0.3)",
+    track: "#333333",
+    danger: "#ff8080",
+    warn: "#ffb000",
+    node: "#ffffff",
+    link: "#ffffff",
+    clusters: [
+      "#ffff00", "#00ffff", "#ff80ff", "#80ff80", "#ffa040",
+      "#8fb8ff", "#ff8080",
+    ],
+    focus: "#00ffff",
+    nodeOpacity: 1,
+    linkOpacity: 1,
+    dimOpacity: 0.5,
+  },
+  {
+    // navy and gold; edit to match the school's own colours
+    id: "school",
+    label: "School colours",
+    scheme: "dark",
+    bg: "#0b1f3a",
+    panel: "rgba(11,31,58,0.94)",
+    control: "rgba(11,31,58,0.7)",
+    accent: "#f2c14e",
+    accentSoft: "rgba(242,193,78,0.72)",
+    line: "rgba(242,193,78,0.4)",
+    lineStrong: "rgba(242,193,78,0.55)",
+    rule: "rgba(242,193,78,0.2)",
+    tint: "rgba(242,193,78,0.2)",
+    track: "rgba(242,193,78,0.12)",
+    danger: "#ff8787",
+    warn: "#ffa94d",
+    node: "#e7ecf5",
+    link: "#b8c4d9",
+    clusters: [
+      "#f2c14e", "#ff8787", "#74c0fc", "#63e6be", "#e599f7",
+      "#ffa94d", "#a9e34b", "#f783ac", "#ffe066", "#d0bfff",
+    ],
+    focus: "#ffffff",
+    nodeOpacity: 0.9,
+    linkOpacity: 0.78,
+    dimOpacity: 0.28,
+  },
+];
+
+export const PALETTE_CHOICES = [{ id: "auto", label: "Auto (system)" }, ...PALETTES];
+
+export function paletteById(id) {
+  return PALETTES.find((p) => p.id === id) ?? PALETTES[0];
+}
+
+function systemPaletteId() {
+  if (mediaMatches("(prefers-contrast: more)")) return "contrast";
+  return mediaMatches("(prefers-color-scheme: light)") ? "projector" : "terminal";
+}
+
+function cssName(key) {
+  return `--bms-${key.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`)}`;
+}
+
+// colours only; opacities are read from the palette object
+export function applyPalette(p, root = document.documentElement) {
+  Object.entries(p).forEach(([key, value]) => {
+    if (key === "id" || key === "label" || typeof value !== "string") return;
+    if (key === "scheme") root.style.colorScheme = value;
+    else root.style.setProperty(cssName(key), value);
+  });
+}
+
+function loadChoice() {
+  try {
+    return window.localStorage.getItem(STORAGE_KEY) || "auto";
+  } catch {
+    return "auto";
+  }
+}
+
+// { choice: "auto" | palette id, palette, setChoice }
+export function usePalette() {
+  const [choice, setChoice] = useState(loadChoice);
+  const [systemId, setSystemId] = useState(systemPaletteId);
+
+  useEffect(() => {
+    const queries = ["(prefers-color-scheme: light)", "(prefers-contrast: more)"]
+      .map((q) => window.matchMedia?.(q))
+      .filter(Boolean);
+    const onChange = () => setSystemId(systemPaletteId());
+    queries.forEach((m) => m.addEventListener?.("change", onChange));
+    return () => queries.forEach((m) => m.removeEventListener?.("change", onChange));
+  }, []);
+
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(STORAGE_KEY, choice);
+    } catch {
+      // private browsing: the choice lasts for this session
+    }
+  }, [choice]);
+
+  const palette = paletteById(choice === "auto" ? systemId : choice);
+
+  // before paint, so switching never flashes the old colours
+  useLayoutEffect(() => applyPalette(palette), [palette]);
+
+  return { choice, palette, setChoice };
+}
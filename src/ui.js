@@ -0,0 +1,73 @@
+/* ---------- shared panel / control styles ---------- */
+
+// Colours are CSS variables set from the active palette (theme.js);
+// styles.css holds the terminal defaults for the first paint.
+export const COLORS = {
+  bg: "var(--bms-bg)",
+  panel: "var(--bms-panel)",
+  control: "var(--bms-control)",
+  accent: "var(--bms-accent)",
+  accentSoft: "var(--bms-accent-soft)",
+  line: "var(--bms-line)",
+  lineStrong: "var(--bms-line-strong)",
+  rule: "var(--bms-rule)",
+  tint: "var(--bms-tint)",
+  track: "var(--bms-track)",
+  danger: "var(--bms-danger)",
+  warn: "var(--bms-warn)",
+  node: "var(--bms-node)",
+  link: "var(--bms-link)",
+  focus: "var(--bms-focus)",
+};
+
+export const MONO =
+  "ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, monospace";
+
+export const panelStyle = {
+  position: "absolute",
+  background: COLORS.panel,
+  border: `1px solid ${COLORS.lineStrong}`,
+  color: COLORS.accent,
+  padding: 8,
+  fontFamily: MONO,
+  fontSize: 11,
+  letterSpacing: 0.5,
+  textTransform: "uppercase",
+};
+
+export const controlStyle = {
+  background: COLORS.control,
+  color: COLORS.accent,
+  border: `1px solid ${COLORS.line}`,
+  padding: "4px 6px",
+  fontFamily: MONO,
+  fontSize: 11,
+  outline: "none",
+};
+
+export const buttonStyle = {
+  ...controlStyle,
+  padding: "4px 8px",
+  cursor: "pointer",
+  textTransform: "none",
+  letterSpacing: 0,
+};
+
+// button that stays lit while its panel / option is on
+export function toggleStyle(on) {
+  return { ...buttonStyle, background: on ? COLORS.tint : buttonStyle.background };
+}
+
+// thin separator above a list section
+export const ruleStyle = { borderTop: `1px solid ${COLORS.rule}` };
+
+// full-screen pages outside the constellation (survey, sign-in, student view)
+export const pageStyle = {
+  position: "fixed",
+  inset: 0,
+  overflowY: "auto",
+  background: COLORS.bg,
+  color: COLORS.accent,
+  fontFamily: MONO,
+  fontSize: 14,
+};
@@ -0,0 +1,78 @@
+import { EMPTY_FILTERS, decodeRule, encodeRule } from "./filters";
+
+/* =========================================================
+   VIEW STATE <-> URL
+   ?s=<student id>&mode=<mode id>&year=<n>&n=<top-n>&q=<search>
+     &theme=<visual theme id>&f=<field>:<value>...&any=1
+   - Defaults are left out so the bare URL is the default view
+   - Selection / mode / year / filter changes push a history entry (so
+     back/forward steps through them); slider and typing replace
+   ========================================================= */
+
+export const VIEW_DEFAULTS = {
+  selected: null,
+  mode: "band",
+  year: "all",
+  topN: 10,
+  query: "",
+  theme: "constellation",
+  filters: EMPTY_FILTERS,
+};
+
+// links drawn per student: the slider, shared links and the ranking all use it
+export const TOP_N_RANGE = { min: 3, max: 16 };
+
+const PUSH_KEYS = ["selected", "mode", "year"];
+
+export function readViewState(search = window.location.search) {
+  const p = new URLSearchParams(search);
+  const n = Number(p.get("n"));
+  const year = p.get("year");
+  return {
+    selected: p.get("s") || VIEW_DEFAULTS.selected,
+    mode: p.get("mode") || VIEW_DEFAULTS.mode,
+    year: year && /^\d{1,2}$/.test(year) ? year : VIEW_DEFAULTS.year,
+    topN:
+      Number.isInteger(n) && n >= TOP_N_RANGE.min && n <= TOP_N_RANGE.max
+        ? n
+        : VIEW_DEFAULTS.topN,
+    query: p.get("q") ?? VIEW_DEFAULTS.query,
+    theme: p.get("theme") || VIEW_DEFAULTS.theme,
+    filters: {
+      combine: p.get("any") === "1" ? "or" : "and",
+      rules: p.getAll("f").map(decodeRule).filter(Boolean),
+    },
+  };
+}
+
+// AND/OR only matters (and is only written) with two or more rules
+function filtersKey({ combine, rules }) {
+  return `${rules.length > 1 ? combine : "and"}|${rules.map(encodeRule).join("|")}`;
+}
+
+function toSearch(view) {
+  const p = new URLSearchParams();
+  if (view.selected) p.set("s", view.selected);
+  if (view.mode !== VIEW_DEFAULTS.mode) p.set("mode", view.mode);
+  if (view.year !== VIEW_DEFAULTS.year) p.set("year", view.year);
+  if (view.topN !== VIEW_DEFAULTS.topN) p.set("n", String(view.topN));
+  if (view.query) p.set("q", view.query);
+  if (view.theme !== VIEW_DEFAULTS.theme) p.set("theme", view.theme);
+  view.filters.rules.forEach((r) => p.append("f", encodeRule(r)));
+  if (view.filters.rules.length > 1 && view.filters.combine === "or") p.set("any", "1");
+  const s = p.toString();
+  return s ? `?${s}` : "";
+}
+
+export function writeViewState(view) {
+  const search = toSearch(view);
+  if (search === window.location.search) return;
+
+  const current = readViewState();
+  const push =
+    PUSH_KEYS.some((k) => current[k] !== view[k]) ||
+    filtersKey(current.filters) !== filtersKey(view.filters);
+  const url = `${window.location.pathname}${search}${window.location.hash}`;
+  if (push) window.history.pushState(null, "", url);
+  else window.history.replaceState(null, "", url);
+}
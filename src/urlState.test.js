@@ -0,0 +1,60 @@
+import { TOP_N_RANGE, VIEW_DEFAULTS, readViewState, writeViewState } from "./urlState";
+
+const view = (over) => ({ ...VIEW_DEFAULTS, ...over });
+
+afterEach(() => window.history.replaceState(null, "", "/"));
+
+describe("readViewState", () => {
+  it("gives the defaults for a bare URL", () => {
+    expect(readViewState("")).toEqual(VIEW_DEFAULTS);
+  });
+
+  it("drops values it can't use", () => {
+    const v = readViewState("?year=nine&n=40&f=shoe:9&f=genres:rock");
+    expect(v.year).toBe("all");
+    expect(v.topN).toBe(VIEW_DEFAULTS.topN);
+    expect(v.filters.rules).toEqual([{ field: "genres", value: "rock" }]);
+  });
+
+  it("accepts top-N across the slider's range only", () => {
+    expect(readViewState(`?n=${TOP_N_RANGE.min}`).topN).toBe(TOP_N_RANGE.min);
+    expect(readViewState(`?n=${TOP_N_RANGE.max}`).topN).toBe(TOP_N_RANGE.max);
+    expect(readViewState(`?n=${TOP_N_RANGE.max + 1}`).topN).toBe(VIEW_DEFAULTS.topN);
+    expect(readViewState("?n=4.5").topN).toBe(VIEW_DEFAULTS.topN);
+  });
+});
+
+describe("writeViewState", () => {
+  it("round-trips a view through the URL", () => {
+    const v = view({
+      selected: "s-07",
+      mode: "influences",
+      year: "9",
+      topN: 12,
+      query: 'artist:"the beatles"',
+      theme: "nodebox",
+      filters: {
+        combine: "or",
+        rules: [
+          { field: "genres", value: "rock" },
+          { field: "year", value: "9-11" },
+        ],
+      },
+    });
+    writeViewState(v);
+    expect(readViewState()).toEqual(v);
+  });
+
+  it("leaves defaults out of the URL", () => {
+    writeViewState(view({ mode: "band" }));
+    expect(window.location.search).toBe("");
+  });
+
+  it("pushes history for a new selection but replaces for the slider", () => {
+    const before = window.history.length;
+    writeViewState(view({ topN: 12 }));
+    expect(window.history.length).toBe(before);
+    writeViewState(view({ topN: 12, selected: "s-01" }));
+    expect(window.history.length).toBe(before + 1);
+  });
+});
@@ -0,0 +1,34 @@
+/* =========================================================
+   VISUAL THEMES
+   Same data, scoring, layouts and panels underneath; a theme
+   only decides how nodes, links and match bars are drawn.
+   - constellation: crisp dots, straight lines, fill bars
+   - nodebox:       glowing blobs over moving water, curved
+                    energy links with pulses, energy bars
+   `layout` / `mode` are what switching to the theme picks
+   (both stay changeable afterwards).
+   ========================================================= */
+
+export const VISUAL_THEMES = [
+  {
+    id: "constellation",
+    label: "Constellation",
+    node: "dot",
+    link: "straight",
+    bar: "fill",
+    layout: "years",
+  },
+  {
+    id: "nodebox",
+    label: "Nodebox energy",
+    node: "blob",
+    link: "energy",
+    bar: "energy",
+    layout: "scatter",
+    mode: "energy",
+  },
+];
+
+export function visualTheme(id) {
+  return VISUAL_THEMES.find((t) => t.id === id) ?? VISUAL_THEMES[0];
+}